@@ -1,6 +1,13 @@
+importScripts('lib/webhookConfig.js', 'lib/template.js', 'lib/destinations.js', 'lib/request.js', 'lib/urlMatch.js', 'lib/delivery.js');
+
 // Webhook queue management
-const webhookQueues = new Map(); // Map of webhookUrl -> { queue: [], lastSent: timestamp, timer: timeoutId }
+// Queues are mirrored to chrome.storage.local and drained with chrome.alarms so that
+// pending sends survive the service worker being suspended.
+const QUEUE_STORAGE_KEY = 'deliveryQueues';
+const QUEUE_ALARM_PREFIX = 'queue_';
+const webhookQueues = new Map(); // Map of webhookUrl -> { queue: [], tokenBucket, tokens, lastRefill: timestamp, timer: timeoutId, processing }
 const queueNotifications = new Map(); // Map of notificationId -> { webhookUrl, intervalId }
+let queuesLoaded = null; // Promise resolved once persisted queues are loaded into webhookQueues
 
 // LinkedIn parsing state
 const linkedinSessions = new Map(); // Map of sessionId -> { tabId, profileData, status }
@@ -37,103 +44,579 @@ chrome.runtime.onStartup.addListener(() => {
   initializeQueues();
 });
 
-function initializeQueues() {
-  chrome.storage.local.get('webhooks', function (data) {
-    if (data.webhooks) {
+function getQueueData(webhookUrl) {
+  if (!webhookQueues.has(webhookUrl)) {
+    webhookQueues.set(webhookUrl, {
+      queue: [],
+      tokenBucket: null,
+      tokens: 0,
+      lastRefill: Date.now(),
+      timer: null,
+      processing: false
+    });
+  }
+  return webhookQueues.get(webhookUrl);
+}
+
+// Load persisted queues once per service worker lifetime
+function loadQueues() {
+  if (!queuesLoaded) {
+    queuesLoaded = chrome.storage.local.get({ [QUEUE_STORAGE_KEY]: {}, webhooks: [] }).then(data => {
+      Object.entries(data[QUEUE_STORAGE_KEY]).forEach(([webhookUrl, storedQueue]) => {
+        const queueData = getQueueData(webhookUrl);
+        queueData.queue = storedQueue.queue || [];
+        queueData.tokenBucket = storedQueue.tokenBucket || null;
+        queueData.tokens = storedQueue.tokens ?? 0;
+        queueData.lastRefill = storedQueue.lastRefill || Date.now();
+      });
       data.webhooks.forEach(webhook => {
-        if (!webhookQueues.has(webhook.url)) {
-          webhookQueues.set(webhook.url, {
-            queue: [],
-            lastSent: 0,
-            timer: null,
-            rateLimit: webhook.rateLimit || 0
-          });
-        } else {
-          // Update rate limit if it changed
-          const queueData = webhookQueues.get(webhook.url);
-          queueData.rateLimit = webhook.rateLimit || 0;
-        }
+        setTokenBucket(getQueueData(webhook.url), getTokenBucket(webhook));
       });
-    }
+    }).catch(error => {
+      console.error('Failed to load persisted queues:', error);
+      queuesLoaded = null;
+    });
+  }
+  return queuesLoaded;
+}
+
+function persistQueues() {
+  return writeQueues().catch(error => {
+    console.error('Failed to persist queues:', error);
   });
 }
 
-function addToQueue(webhookUrl, payload, webhookName, rateLimit = 0) {
-  if (!webhookQueues.has(webhookUrl)) {
-    webhookQueues.set(webhookUrl, {
-      queue: [],
-      lastSent: 0,
-      timer: null,
-      rateLimit: rateLimit
+function writeQueues() {
+  return chrome.storage.local.set({ [QUEUE_STORAGE_KEY]: buildQueueSnapshot(webhookQueues) });
+}
+
+async function initializeQueues() {
+  await loadQueues();
+  const data = await chrome.storage.local.get('webhooks');
+  if (data.webhooks) {
+    // Older versions stored rateLimit as seconds between requests
+    const migrated = data.webhooks.map(migrateWebhook);
+    if (migrated.some((webhook, index) => webhook !== data.webhooks[index])) {
+      await chrome.storage.local.set({ webhooks: migrated });
+    }
+
+    migrated.forEach(webhook => {
+      // Update rate limit if it changed
+      setTokenBucket(getQueueData(webhook.url), getTokenBucket(webhook));
     });
   }
-  
-  const queueData = webhookQueues.get(webhookUrl);
-  queueData.rateLimit = rateLimit; // Update rate limit
-  queueData.queue.push({ payload, webhookName, timestamp: Date.now() });
+
+  // Resume anything that was pending when the service worker went away
+  webhookQueues.forEach((queueData, webhookUrl) => {
+    if (queueData.queue.length > 0) {
+      processQueue(webhookUrl);
+    }
+  });
+
+  // Flush buffers whose webhook no longer batches. A deleted webhook's buffer is flushed
+  // too; processQueue then moves it to the dead-letter store instead of sending it.
+  const { [BATCH_STORAGE_KEY]: buffers = {} } = await chrome.storage.local.get(BATCH_STORAGE_KEY);
+  Object.keys(buffers).forEach(webhookUrl => {
+    const webhook = data.webhooks?.find(wh => wh.url === webhookUrl);
+    if (!getBatchOptions(webhook)) {
+      flushBatch(webhookUrl);
+    }
+  });
+}
+
+async function addToQueue(webhookUrl, payload, webhookName, tokenBucket = null, fanoutId = null) {
+  await loadQueues();
+  const queueData = getQueueData(webhookUrl);
+  setTokenBucket(queueData, tokenBucket); // Update rate limit
+  const item = { id: crypto.randomUUID(), payload, webhookName, timestamp: Date.now() };
+  if (fanoutId) {
+    item.fanoutId = fanoutId;
+  }
+  queueData.queue.push(item);
+  try {
+    await writeQueues();
+  } catch (error) {
+    // Report the failure to the caller (a replay keeps its dead letter) instead of
+    // holding an item that would be lost with the service worker
+    queueData.queue = queueData.queue.filter(queued => queued !== item);
+    throw error;
+  }
   
   // Check if this item will be queued (not sent immediately)
-  const now = Date.now();
-  const timeSinceLastSent = now - queueData.lastSent;
-  const rateLimitMs = queueData.rateLimit * 1000;
-  const willBeQueued = queueData.rateLimit > 0 && (queueData.queue.length > 1 || timeSinceLastSent < rateLimitMs);
+  refillTokens(queueData);
+  const willBeQueued = isOffline() || (queueData.tokenBucket && queueData.queue.length > Math.floor(queueData.tokens));
   
-  if (willBeQueued) {
+  // Group members stay quiet; the group gets one notification when every member is done
+  if (willBeQueued && !fanoutId) {
     showQueueNotification(webhookUrl, webhookName);
   }
   
   processQueue(webhookUrl);
 }
 
-function processQueue(webhookUrl) {
+// Wake up the queue after delayMs. The timer handles the common case while the worker
+// is alive; the alarm is the fallback when Chrome suspends it before the timer fires.
+function scheduleQueue(webhookUrl, delayMs) {
+  const queueData = getQueueData(webhookUrl);
+  if (queueData.timer) {
+    clearTimeout(queueData.timer);
+  }
+  
+  queueData.timer = setTimeout(() => {
+    queueData.timer = null;
+    processQueue(webhookUrl);
+  }, delayMs);
+  
+  chrome.alarms.create(`${QUEUE_ALARM_PREFIX}${webhookUrl}`, { when: Date.now() + delayMs });
+}
+
+async function processQueue(webhookUrl) {
+  await loadQueues();
   const queueData = webhookQueues.get(webhookUrl);
-  if (!queueData || queueData.queue.length === 0) return;
+  if (!queueData || queueData.processing) return;
+  if (queueData.queue.length === 0) {
+    chrome.alarms.clear(`${QUEUE_ALARM_PREFIX}${webhookUrl}`);
+    return;
+  }
   
   const now = Date.now();
-  const timeSinceLastSent = now - queueData.lastSent;
-  const rateLimitMs = queueData.rateLimit * 1000;
+  const item = queueData.queue[0];
   
-  if (queueData.rateLimit > 0 && timeSinceLastSent < rateLimitMs) {
-    // Need to wait before sending
-    const waitTime = rateLimitMs - timeSinceLastSent;
-    
-    if (queueData.timer) {
-      clearTimeout(queueData.timer);
-    }
-    
-    queueData.timer = setTimeout(() => {
-      processQueue(webhookUrl);
-    }, waitTime);
-    
+  // No point in spending attempts while offline; the network listeners resume us
+  if (isOffline()) {
+    pauseForNetwork();
     return;
   }
   
-  // Send the next item in queue
-  const item = queueData.queue.shift();
-  queueData.lastSent = now;
+  // Head item is backing off after a failed attempt
+  if (item.notBefore && item.notBefore > now) {
+    scheduleQueue(webhookUrl, item.notBefore - now);
+    return;
+  }
+  
+  refillTokens(queueData, now);
+  if (queueData.tokenBucket && queueData.tokens < 1) {
+    // Need to wait for the bucket to refill before sending
+    scheduleQueue(webhookUrl, msUntilTokens(queueData, 1));
+    return;
+  }
+  
+  // Send the next item in queue. It stays persisted until delivery finishes so that a
+  // worker shutdown mid-send replays it instead of losing it.
+  queueData.processing = true;
+  if (queueData.tokenBucket) {
+    queueData.tokens -= 1;
+  }
+  item.attempt = (item.attempt || 0) + 1;
+  await persistQueues();
   
   // Clear any existing queue notification for this webhook
   clearQueueNotification(webhookUrl);
   
-  postToWebhookDirect(webhookUrl, item.payload, 3, item.webhookName);
-  
-  // Schedule next item if queue has more items
-  if (queueData.queue.length > 0) {
-    if (queueData.rateLimit > 0) {
-      queueData.timer = setTimeout(() => {
-        processQueue(webhookUrl);
-      }, rateLimitMs);
+  try {
+    const webhook = await getWebhookByUrl(webhookUrl);
+    if (!webhook) {
+      item.attempt -= 1;
+      await deadLetterOrphanedQueue(webhookUrl, queueData);
+      return;
+    }
+    const retryPolicy = getRetryPolicy(webhook);
+    const result = await postToWebhookDirect(webhook, item.payload);
+    
+    if (isOfflineFailure(result, isOffline())) {
+      // Connection dropped mid-send: give the attempt back and wait for the network
+      item.attempt -= 1;
+      console.log('Browser went offline, pausing queue until the network is back');
+      pauseForNetwork();
+      if (!item.fanoutId) {
+        showQueueNotification(webhookUrl, item.webhookName);
+      }
+      return;
+    }
+    
+    recordDeliveryAttempt(webhookUrl, item, result);
+    if (!result.ok && item.attempt < retryPolicy.maxAttempts && isRetryable(result, retryPolicy)) {
+      // Keep the item at the head of the queue so ordering is preserved
+      const retryDelay = getRetryDelay(retryPolicy, item.attempt, result.retryAfter);
+      item.notBefore = Date.now() + retryDelay;
+      console.log(`Webhook attempt ${item.attempt}/${retryPolicy.maxAttempts} failed (${result.status || result.error}), retrying in ${Math.round(retryDelay / 1000)}s`);
     } else {
-      // No rate limit, process immediately
+      queueData.queue = queueData.queue.filter(queued => queued.id !== item.id);
+      finishDelivery(webhookUrl, item, result);
+    }
+  } finally {
+    queueData.processing = false;
+    await persistQueues();
+  }
+  
+  // Schedule next item (or the retry) if queue has more items
+  processQueue(webhookUrl);
+}
+
+// A webhook that was deleted (or whose URL changed) leaves its pending items behind. Sending
+// them without its headers, signing, template or destination format would be wrong, so they
+// move to the dead-letter store, where they can be replayed to another webhook.
+async function deadLetterOrphanedQueue(webhookUrl, queueData) {
+  const items = queueData.queue;
+  const result = { ok: false, status: 0, permanent: true, error: 'Webhook was deleted or its URL changed' };
+  for (const item of items) {
+    await addDeadLetter(webhookUrl, item, result);
+    if (item.fanoutId) {
+      recordFanoutResult(item.fanoutId, item.webhookName, 'failed');
+    }
+  }
+  queueData.queue = [];
+  chrome.alarms.clear(`${QUEUE_ALARM_PREFIX}${webhookUrl}`);
+  console.warn(`Moved ${items.length} item(s) queued for missing webhook ${webhookUrl} to dead letters`);
+  showNotification(`❌ ${items[0].webhookName} - Not sent`, `${items.length} pending item(s) were saved to Failed deliveries because the webhook was deleted or its URL changed.`, false);
+}
+
+// Offline awareness: queues pause while the browser is offline and resume in order
+// on reconnect. The periodic alarm covers a worker that sleeps through the online event.
+const NETWORK_ALARM = 'networkCheck';
+
+function isOffline() {
+  return navigator.onLine === false;
+}
+
+function pauseForNetwork() {
+  chrome.alarms.create(NETWORK_ALARM, { periodInMinutes: 0.5 });
+}
+
+async function resumeAfterNetwork() {
+  if (isOffline()) return;
+  chrome.alarms.clear(NETWORK_ALARM);
+  await loadQueues();
+  webhookQueues.forEach((queueData, webhookUrl) => {
+    if (queueData.queue.length > 0) {
       processQueue(webhookUrl);
     }
+  });
+}
+
+self.addEventListener('online', resumeAfterNetwork);
+self.addEventListener('offline', pauseForNetwork);
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === NETWORK_ALARM) {
+    resumeAfterNetwork();
+  } else if (alarm.name.startsWith(QUEUE_ALARM_PREFIX)) {
+    processQueue(alarm.name.slice(QUEUE_ALARM_PREFIX.length));
+  } else if (alarm.name.startsWith(BATCH_ALARM_PREFIX)) {
+    flushBatch(alarm.name.slice(BATCH_ALARM_PREFIX.length));
+  }
+});
+
+// Narrows a payload extracted for several webhooks down to what this webhook asked for
+function preparePayloadForWebhook(webhook, payload) {
+  if (!payload.article && !payload.image && !payload.screenshot) {
+    return payload;
+  }
+
+  const { article, image, screenshot, ...prepared } = payload;
+  const articleOptions = getArticleOptions(webhook);
+  const content = article && articleOptions && article[articleOptions.format];
+  if (typeof content === 'string') {
+    const { markdown, text, ...details } = article;
+    prepared.article = {
+      ...details,
+      format: articleOptions.format,
+      content: content.slice(0, articleOptions.maxLength),
+      truncated: content.length > articleOptions.maxLength
+    };
+  }
+
+  const imageOptions = getImageOptions(webhook);
+  if (image && imageOptions) {
+    // Fetched under the largest limit among the targets; hold this webhook to its own
+    if (image.data && image.byteSize > imageOptions.maxBytes) {
+      const { data, ...details } = image;
+      prepared.image = { ...details, error: `Image is ${formatBytes(image.byteSize)}, over the ${formatBytes(imageOptions.maxBytes)} limit` };
+    } else {
+      prepared.image = image;
+    }
+  }
+
+  // Captured for the webhook picked under "Send page with screenshot"; other targets never asked for it
+  if (screenshot && screenshot.capturedFor === webhook.url) {
+    const { capturedFor, ...details } = screenshot;
+    prepared.screenshot = details;
+  }
+  return prepared;
+}
+
+// Entry point for user-initiated sends: webhooks with confirmBeforeSend open the review
+// window, the rest go straight to enqueuePayload. Resolves to 'review' or its outcome
+async function sendOrReview(webhook, payload, fanoutId = null) {
+  if (webhook.confirmBeforeSend) {
+    await openReview(webhook, payload);
+    return 'review';
+  }
+  return enqueuePayload(webhook, payload, fanoutId);
+}
+
+// Entry point for new payloads: batching webhooks collect them, others queue them directly
+// Resolves to 'duplicate', 'batched' or 'queued'
+async function enqueuePayload(webhook, payload, fanoutId = null) {
+  payload = preparePayloadForWebhook(webhook, payload);
+  if (await isDuplicateSend(webhook, payload)) {
+    // Group sends report skipped members in the combined notification instead
+    if (!fanoutId) {
+      const minutes = webhook.dedupeWindow;
+      showNotification(`⚠️ ${webhook.name} - Duplicate skipped`, `This ${getPayloadType(payload)} was already sent to ${webhook.name} in the last ${minutes} minute(s)`, false);
+    }
+    return 'duplicate';
+  }
+
+  if (getBatchOptions(webhook)) {
+    await addToBatch(webhook, payload, !fanoutId);
+    return 'batched';
+  }
+  await addToQueue(webhook.url, payload, webhook.name, getTokenBucket(webhook), fanoutId);
+  return 'queued';
+}
+
+// Duplicate suppression: with a dedupe window set, a payload whose URL and type were
+// already sent (or are still queued) for the same webhook within the window is refused.
+// Sends that end up in the dead-letter store are forgotten, so they can be sent again.
+const RECENT_SENDS_STORAGE_KEY = 'recentSends';
+
+async function isDuplicateSend(webhook, payload) {
+  if (!(webhook.dedupeWindow > 0)) return false;
+
+  const windowMs = webhook.dedupeWindow * 60 * 1000;
+  let isDuplicate = false;
+
+  await updateStoredValue(RECENT_SENDS_STORAGE_KEY, {}, recentSends => {
+    const checked = checkRecentSend(recentSends[webhook.url], getDedupeKey(payload), windowMs);
+    isDuplicate = checked.isDuplicate;
+    return { ...recentSends, [webhook.url]: checked.sends };
+  });
+
+  return isDuplicate;
+}
+
+function forgetRecentSend(webhookUrl, payload) {
+  const keys = getDedupeKeys(payload);
+  return updateStoredValue(RECENT_SENDS_STORAGE_KEY, {}, recentSends => {
+    if (!recentSends[webhookUrl]) {
+      return recentSends;
+    }
+    const sends = Object.fromEntries(Object.entries(recentSends[webhookUrl]).filter(([key]) => !keys.includes(key)));
+    return { ...recentSends, [webhookUrl]: sends };
+  });
+}
+
+// Batching: items are buffered per webhook and flushed as one array payload when the
+// buffer reaches maxItems, when the time window ends, or on demand from the popup
+const BATCH_STORAGE_KEY = 'batchBuffers';
+const BATCH_ALARM_PREFIX = 'batch_';
+
+async function addToBatch(webhook, payload, notify = true) {
+  const batch = getBatchOptions(webhook);
+  let bufferSize = 0;
+
+  await updateStoredValue(BATCH_STORAGE_KEY, {}, buffers => {
+    const buffer = appendToBatch(buffers[webhook.url], webhook.name, payload);
+    bufferSize = buffer.items.length;
+    return { ...buffers, [webhook.url]: buffer };
+  });
+  const isNewBuffer = bufferSize === 1;
+
+  if (bufferSize >= batch.maxItems) {
+    return flushBatch(webhook.url);
+  }
+
+  if (isNewBuffer) {
+    chrome.alarms.create(`${BATCH_ALARM_PREFIX}${webhook.url}`, { when: Date.now() + batch.windowSeconds * 1000 });
+  }
+  if (notify) {
+    showNotification(`📦 ${webhook.name} - Batched`, `${bufferSize}/${batch.maxItems} item(s) waiting for the next flush`, true);
+  }
+}
+
+// Moves the whole buffer into the delivery queue as a single item, so a failed
+// batch is retried (and dead-lettered) as a whole
+async function flushBatch(webhookUrl) {
+  let buffer = null;
+  await updateStoredValue(BATCH_STORAGE_KEY, {}, buffers => {
+    buffer = buffers[webhookUrl] || null;
+    const remaining = { ...buffers };
+    delete remaining[webhookUrl];
+    return remaining;
+  });
+  chrome.alarms.clear(`${BATCH_ALARM_PREFIX}${webhookUrl}`);
+
+  if (!buffer || buffer.items.length === 0) {
+    return 0;
   }
+
+  const webhook = await getWebhookByUrl(webhookUrl);
+  await addToQueue(webhookUrl, buffer.items, webhook ? webhook.name : buffer.webhookName, getTokenBucket(webhook));
+  return buffer.items.length;
 }
 
 function sanitizeMenuId(name) {
   return name.replace(/[^a-zA-Z0-9_-]/g, '_').substring(0, 50);
 }
 
+// Webhook groups
+// A group send extracts the payload once and enqueues it to every member, so each
+// member keeps its own rate limit, retries and batching. Outcomes are collected in
+// storage and reported as one notification once every member has finished.
+const GROUPS_STORAGE_KEY = 'webhookGroups';
+const FANOUT_STORAGE_KEY = 'groupFanouts';
+const FANOUT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+async function sendToGroup(group, info, tabId) {
+  const data = await chrome.storage.local.get('webhooks');
+  const members = (group.webhookUrls || [])
+    .map(url => (data.webhooks || []).find(webhook => webhook.url === url))
+    .filter(Boolean);
+  if (members.length === 0) {
+    showNotification(`❌ ${group.name} - Empty group`, 'None of the webhooks in this group exist anymore', false);
+    return;
+  }
+
+  const { urlToSend, type, selectionText } = getSendContext(info);
+  let payload;
+  try {
+    // One extraction covering what every member asked for; enqueuePayload trims it per webhook
+    payload = await extractPayload(urlToSend, type, tabId, selectionText, getExtractionOptions(members));
+  } catch (error) {
+    console.error('Script injection failed:', error.message);
+    return;
+  }
+
+  const fanoutId = crypto.randomUUID();
+  await updateStoredValue(FANOUT_STORAGE_KEY, {}, fanouts => {
+    // Drop fanouts that never completed (e.g. a member webhook was deleted mid-send)
+    const active = pruneFanouts(fanouts, FANOUT_MAX_AGE_MS);
+    active[fanoutId] = { groupName: group.name, total: members.length, results: [], createdAt: Date.now() };
+    return active;
+  });
+
+  for (const webhook of members) {
+    const outcome = await sendOrReview(webhook, payload, fanoutId);
+    if (outcome !== 'queued') {
+      // Batched, skipped and reviewed members have no delivery to wait for; a reviewed
+      // payload is sent on its own once the review window is confirmed
+      recordFanoutResult(fanoutId, webhook.name, outcome);
+    }
+  }
+}
+
+async function recordFanoutResult(fanoutId, webhookName, outcome) {
+  let completed = null;
+  await updateStoredValue(FANOUT_STORAGE_KEY, {}, fanouts => {
+    if (!fanouts[fanoutId]) {
+      return fanouts;
+    }
+    const fanout = addFanoutResult(fanouts[fanoutId], webhookName, outcome);
+    const remaining = { ...fanouts };
+    if (isFanoutComplete(fanout)) {
+      completed = fanout;
+      delete remaining[fanoutId];
+    } else {
+      remaining[fanoutId] = fanout;
+    }
+    return remaining;
+  });
+
+  if (completed) {
+    showFanoutNotification(completed);
+  }
+}
+
+function showFanoutNotification(fanout) {
+  const { title, message, success } = summarizeFanout(fanout);
+  showNotification(title, message, success);
+}
+
+// Routing rules
+// Rules are evaluated in order against the link, image or page URL and the context type
+// (see lib/urlMatch.js). With no match, the quick-picker asks where to send instead.
+const ROUTING_RULES_STORAGE_KEY = 'routingRules';
+
+async function sendViaRules(info, tabId) {
+  const { urlToSend, type } = getSendContext(info);
+  const data = await chrome.storage.local.get({ [ROUTING_RULES_STORAGE_KEY]: [], webhooks: [] });
+  const { matchedRules, webhookUrls } = resolveRoutes(data[ROUTING_RULES_STORAGE_KEY], urlToSend, type);
+  const targets = webhookUrls.filter(url => data.webhooks.some(webhook => webhook.url === url));
+
+  if (targets.length === 0) {
+    openWebhookPicker(tabId, info);
+  } else if (targets.length === 1) {
+    sendToWebhook(targets[0], info, tabId);
+  } else {
+    // Several destinations: reuse the group fan-out for one combined notification
+    const name = matchedRules.map(rule => rule.name).join(', ');
+    sendToGroup({ name, webhookUrls: targets }, info, tabId);
+  }
+}
+
+// Auto-capture
+// Opt-in rules that send a page as soon as a tab finishes loading a matching URL.
+// Off unless the Settings kill switch is on; incognito tabs are always skipped.
+const AUTO_CAPTURE_STORAGE_KEY = 'autoCaptureRules';
+const AUTO_CAPTURE_SENDS_STORAGE_KEY = 'autoCaptureSends';
+const DEFAULT_AUTO_CAPTURE_DEBOUNCE = 30; // Minutes before the same rule re-sends the same URL
+
+// Records the send unless this rule already sent the URL within its debounce window
+async function shouldAutoCapture(rule, url) {
+  const windowMs = (rule.debounceMinutes ?? DEFAULT_AUTO_CAPTURE_DEBOUNCE) * 60 * 1000;
+  const now = Date.now();
+  let debounced = false;
+
+  await updateStoredValue(AUTO_CAPTURE_SENDS_STORAGE_KEY, {}, captureSends => {
+    const sends = Object.fromEntries(
+      Object.entries(captureSends[rule.id] || {}).filter(([, sentAt]) => now - sentAt < windowMs)
+    );
+    debounced = url in sends;
+    if (!debounced) {
+      sends[url] = now;
+    }
+    return { ...captureSends, [rule.id]: sends };
+  });
+
+  return !debounced;
+}
+
+async function handleAutoCapture(tabId, url) {
+  const data = await chrome.storage.local.get({ settings: {}, [AUTO_CAPTURE_STORAGE_KEY]: [], webhooks: [] });
+  if (!data.settings.autoCaptureEnabled) {
+    return;
+  }
+  const rules = data[AUTO_CAPTURE_STORAGE_KEY].filter(rule => ruleMatches(rule, url, 'page'));
+  if (rules.length === 0) {
+    return;
+  }
+
+  const tab = await chrome.tabs.get(tabId);
+  if (tab.incognito) {
+    return;
+  }
+
+  for (const rule of rules) {
+    const webhook = data.webhooks.find(wh => wh.url === rule.webhookUrl);
+    if (webhook && await shouldAutoCapture(rule, url)) {
+      console.log(`Auto-capture rule "${rule.name}" sending ${url} to ${webhook.name}`);
+      // Nobody clicked anything, so there is no one to review the payload
+      extractDataAndSend(webhook.url, url, 'page', tabId, null, { review: false });
+    }
+  }
+}
+
+chrome.webNavigation.onCompleted.addListener(details => {
+  // Only top-level documents on web pages; frames and chrome:// pages are ignored
+  if (details.frameId !== 0 || !/^https?:/.test(details.url)) {
+    return;
+  }
+  handleAutoCapture(details.tabId, details.url).catch(error => {
+    console.error('Auto-capture failed:', error.message);
+  });
+});
+
 let updateWebhookMenusTimeout;
 function updateWebhookMenus() {
   // Debounce to avoid excessive rebuilds
@@ -154,7 +637,22 @@ function updateWebhookMenus() {
         }
 
         // Now add child items
-        chrome.storage.local.get('webhooks', function (data) {
+        chrome.storage.local.get(['webhooks', GROUPS_STORAGE_KEY, ROUTING_RULES_STORAGE_KEY], function (data) {
+          if ((data[ROUTING_RULES_STORAGE_KEY] || []).length > 0) {
+            chrome.contextMenus.create({
+              id: 'sendViaRules',
+              parentId: "sendToWebhook",
+              title: '⚡ Send via rules',
+              contexts: ["page", "link", "image", "selection"]
+            });
+            chrome.contextMenus.create({
+              id: 'rulesSeparator',
+              parentId: "sendToWebhook",
+              type: 'separator',
+              contexts: ["page", "link", "image", "selection"]
+            });
+          }
+
           if (data.webhooks && data.webhooks.length > 0) {
             data.webhooks.forEach((webhook, index) => {
               const sanitizedId = sanitizeMenuId(webhook.name);
@@ -176,6 +674,58 @@ function updateWebhookMenus() {
               });
             });
           }
+
+          if (data.webhooks && data.webhooks.length > 0) {
+            chrome.contextMenus.create({
+              id: 'sendWithScreenshot',
+              parentId: "sendToWebhook",
+              title: '📸 Send page with screenshot',
+              contexts: ["page", "selection"]
+            });
+            data.webhooks.forEach((webhook, index) => {
+              chrome.contextMenus.create({
+                id: `screenshotTo_${index}`,
+                parentId: 'sendWithScreenshot',
+                title: webhook.name,
+                contexts: ["page", "selection"]
+              });
+            });
+          }
+
+          if (data.webhooks && data.webhooks.length > 0) {
+            chrome.contextMenus.create({
+              id: 'sendSelectionLinks',
+              parentId: "sendToWebhook",
+              title: '🔗 Send all links in selection',
+              contexts: ["selection"]
+            });
+            data.webhooks.forEach((webhook, index) => {
+              chrome.contextMenus.create({
+                id: `linksTo_${index}`,
+                parentId: 'sendSelectionLinks',
+                title: webhook.name,
+                contexts: ["selection"]
+              });
+            });
+          }
+
+          const groups = data[GROUPS_STORAGE_KEY] || [];
+          if (groups.length > 0) {
+            chrome.contextMenus.create({
+              id: 'groupSeparator',
+              parentId: "sendToWebhook",
+              type: 'separator',
+              contexts: ["page", "link", "image", "selection"]
+            });
+            groups.forEach((group, index) => {
+              chrome.contextMenus.create({
+                id: `sendToGroup_${index}`,
+                parentId: "sendToWebhook",
+                title: `👥 ${group.name}`,
+                contexts: ["page", "link", "image", "selection"]
+              });
+            });
+          }
         });
       });
     });
@@ -194,120 +744,444 @@ chrome.contextMenus.onClicked.addListener((info, tab) => {
         sendToWebhook(webhook.url, info, tab.id);
       }
     });
+  } else if (info.menuItemId.startsWith('screenshotTo_')) {
+    chrome.storage.local.get('webhooks', function (data) {
+      const index = parseInt(info.menuItemId.slice('screenshotTo_'.length));
+      const webhook = data.webhooks[index];
+      if (webhook) {
+        const { urlToSend, type, selectionText } = getSendContext(info);
+        extractDataAndSend(webhook.url, urlToSend, type, tab.id, selectionText, { withScreenshot: true });
+      }
+    });
+  } else if (info.menuItemId.startsWith('linksTo_')) {
+    chrome.storage.local.get('webhooks', function (data) {
+      const index = parseInt(info.menuItemId.slice('linksTo_'.length));
+      const webhook = data.webhooks[index];
+      if (webhook) {
+        extractDataAndSend(webhook.url, info.pageUrl, 'links', tab.id, info.selectionText);
+      }
+    });
+  } else if (info.menuItemId === 'sendViaRules') {
+    sendViaRules(info, tab.id);
+  } else if (info.menuItemId.startsWith("sendToGroup_")) {
+    chrome.storage.local.get(GROUPS_STORAGE_KEY, function (data) {
+      const index = parseInt(info.menuItemId.slice("sendToGroup_".length));
+      const group = (data[GROUPS_STORAGE_KEY] || [])[index];
+      if (group) {
+        sendToGroup(group, info, tab.id);
+      }
+    });
   } else if (info.menuItemId === "linkedinMutualConnections") {
     handleLinkedInMutualConnections(tab);
   }
 });
 
-function sendToWebhook(webhookUrl, info, tabId) {
+function getSendContext(info) {
   if (info.linkUrl) {
-    extractDataAndSend(webhookUrl, info.linkUrl, 'link', tabId, null);
+    return { urlToSend: info.linkUrl, type: 'link', selectionText: null };
   } else if (info.srcUrl) {
-    extractDataAndSend(webhookUrl, info.srcUrl, 'image', tabId, null);
-  } else {
-    // Page context: check if text is selected
-    const type = info.selectionText ? 'selection' : 'page';
-    const urlToSend = info.pageUrl;
-    extractDataAndSend(webhookUrl, urlToSend, type, tabId, info.selectionText);
+    return { urlToSend: info.srcUrl, type: 'image', selectionText: null };
   }
+  // Page context: check if text is selected
+  const type = info.selectionText ? 'selection' : 'page';
+  return { urlToSend: info.pageUrl, type, selectionText: info.selectionText };
+}
+
+function sendToWebhook(webhookUrl, info, tabId) {
+  const { urlToSend, type, selectionText } = getSendContext(info);
+  extractDataAndSend(webhookUrl, urlToSend, type, tabId, selectionText);
 }
 
-function extractDataAndSend(webhookUrl, urlToSend, type, tabId, selectionText) {
-  let codeToExecute;
+// Webhooks with confirmBeforeSend open the review window (see sendOrReview), unless `review` is false
+function extractDataAndSend(webhookUrl, urlToSend, type, tabId, selectionText, { withScreenshot = false, review = true } = {}) {
+  // Find webhook settings (extraction options, name for notifications)
+  chrome.storage.local.get('webhooks', async function (data) {
+    const webhook = data.webhooks?.find(wh => wh.url === webhookUrl) || { url: webhookUrl, name: 'Webhook' };
+    try {
+      // Capture before injecting anything so the screenshot shows the page as the user saw it
+      const screenshot = withScreenshot
+        ? await captureScreenshot(tabId, getScreenshotOptions(webhook), type === 'selection')
+        : null;
+      const payload = await extractPayload(urlToSend, type, tabId, selectionText, getExtractionOptions([webhook]));
+      if (screenshot) {
+        payload.screenshot = { ...screenshot, capturedFor: webhook.url };
+        payload.idempotencyKey = await computeIdempotencyKey(payload);
+      }
+      if (type === 'links' && payload.links.length === 0) {
+        showNotification('⚠️ No links found', 'The selection does not contain any links', false);
+        return;
+      }
+      if (review) {
+        await sendOrReview(webhook, payload);
+      } else {
+        await enqueuePayload(webhook, payload);
+      }
+    } catch (error) {
+      console.error('Script injection failed:', error.message);
+    }
+  });
+}
+
+const EXTRACTION_PROFILES_STORAGE_KEY = 'extractionProfiles';
+
+// Runs the extractor for the context type in the tab and builds the payload
+// `options` comes from getExtractionOptions() for the webhooks the payload is meant for
+async function extractPayload(urlToSend, type, tabId, selectionText, options = {}) {
+  // Profiles match the page the user is on, which for links and images differs from urlToSend
+  const [tab, stored] = await Promise.all([
+    chrome.tabs.get(tabId),
+    chrome.storage.local.get({ [EXTRACTION_PROFILES_STORAGE_KEY]: [] })
+  ]);
+  const profiles = resolveExtractionProfiles(stored[EXTRACTION_PROFILES_STORAGE_KEY], tab.url);
+
+  await chrome.scripting.executeScript({
+    target: { tabId: tabId },
+    files: ['contentScripts/pageExtractor.js']
+  });
+  const injectionResults = await chrome.scripting.executeScript({
+    target: { tabId: tabId },
+    func: (contextType, targetUrl, extractOptions, profileFields) => ({
+      data: WebhookPageExtractor.extract(contextType, targetUrl, extractOptions),
+      fields: profileFields.length > 0 ? WebhookPageExtractor.extractFields(profileFields) : null
+    }),
+    args: [type, urlToSend, options, profiles.fields]
+  });
+  const extractedData = injectionResults[0]?.result?.data;
+  const extractedFields = injectionResults[0]?.result?.fields;
+  
+  // Build enhanced payload
+  const payload = {
+    url: urlToSend,
+    timestamp: new Date().toISOString(),
+    type: type
+  };
 
   if (type === 'page') {
-    codeToExecute = function () {
-      return {
-        title: document.title,
-        description: document.querySelector('meta[name="description"]')?.getAttribute('content') || null,
-        keywords: document.querySelector('meta[name="keywords"]')?.getAttribute('content') || null,
-        favicon: document.querySelector('link[rel="icon"]')?.href || document.querySelector('link[rel="shortcut icon"]')?.href || null
-      };
-    };
+    payload.title = extractedData?.title || null;
+    payload.description = extractedData?.description || null;
+    payload.keywords = extractedData?.keywords || null;
+    payload.favicon = extractedData?.favicon || null;
+    payload.metadata = extractedData?.metadata || null;
+    if (extractedData?.article) {
+      payload.article = extractedData.article;
+    }
   } else if (type === 'selection') {
-    codeToExecute = function () {
-      return {
-        title: document.title,
-        description: document.querySelector('meta[name="description"]')?.getAttribute('content') || null,
-        keywords: document.querySelector('meta[name="keywords"]')?.getAttribute('content') || null,
-        favicon: document.querySelector('link[rel="icon"]')?.href || document.querySelector('link[rel="shortcut icon"]')?.href || null
-      };
-    };
+    payload.title = extractedData?.title || null;
+    payload.description = extractedData?.description || null;
+    payload.keywords = extractedData?.keywords || null;
+    payload.favicon = extractedData?.favicon || null;
+    payload.metadata = extractedData?.metadata || null;
+    // The page's own selection is complete; the context menu's selectionText is truncated by Chrome
+    const selection = extractedData?.selection;
+    payload.selectedText = selection?.text || selectionText;
+    if (selection) {
+      payload.selectedHtml = selection.html;
+      payload.selectedMarkdown = selection.markdown;
+      payload.selectionContext = { before: selection.contextBefore, after: selection.contextAfter };
+      payload.textFragmentUrl = selection.textFragmentUrl;
+    }
   } else if (type === 'link') {
-    codeToExecute = function () {
-      const links = document.querySelectorAll('a');
-      for (let link of links) {
-        if (link.href === arguments[0]) {
-          return link.title || null;
-        }
-      }
-      return null;
-    };
+    payload.title = extractedData?.text || extractedData?.title || null;
+    payload.linkTitle = extractedData?.title || null;
+    payload.linkText = extractedData?.text || null;
+    payload.rel = extractedData?.rel || null;
+    payload.target = extractedData?.target || null;
+    payload.heading = extractedData?.heading || null;
+    payload.snippet = extractedData?.snippet || null;
+  } else if (type === 'links') {
+    payload.title = extractedData?.title || null;
+    payload.links = extractedData?.links || [];
+    payload.linkCount = payload.links.length;
   } else if (type === 'image') {
-    codeToExecute = function () {
-      const images = document.querySelectorAll('img');
-      for (let img of images) {
-        if (img.src === arguments[0]) {
-          return img.alt || null;
-        }
+    payload.title = extractedData?.alt || null;
+    payload.altText = extractedData?.alt || null;
+    if (options.imageMaxBytes > 0) {
+      payload.image = await fetchImageAttachment(urlToSend, options.imageMaxBytes, extractedData);
+    }
+  }
+
+  if (extractedFields) {
+    payload.fields = extractedFields.values;
+    payload.extractionProfiles = profiles.matchedProfiles.map(profile => profile.name);
+    Object.entries(extractedFields.errors).forEach(([name, message]) => {
+      console.warn(`Extraction field "${name}" failed:`, message);
+    });
+  }
+
+  payload.idempotencyKey = await computeIdempotencyKey(payload);
+  return payload;
+}
+
+// Fetches an image from the extension context (with the user's cookies) so receivers get the
+// bytes even when the URL is signed, short-lived or behind a login. Failures are reported in
+// the payload instead of failing the send.
+async function fetchImageAttachment(srcUrl, maxBytes, imageInfo) {
+  const image = {
+    mimeType: null,
+    width: imageInfo?.width || null,
+    height: imageInfo?.height || null,
+    byteSize: null,
+    fileName: getImageFileName(srcUrl)
+  };
+
+  try {
+    const response = await fetch(srcUrl, { credentials: 'include' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const declaredSize = Number(response.headers.get('Content-Length'));
+    if (declaredSize > maxBytes) {
+      throw new Error(`Image is ${formatBytes(declaredSize)}, over the ${formatBytes(maxBytes)} limit`);
+    }
+
+    const bytes = await readLimitedBody(response, maxBytes);
+    if (!bytes) {
+      throw new Error(`Image is over the ${formatBytes(maxBytes)} limit`);
+    }
+    image.mimeType = response.headers.get('Content-Type')?.split(';')[0].trim() || 'application/octet-stream';
+    image.byteSize = bytes.length;
+
+    if (!image.width || !image.height) {
+      try {
+        const bitmap = await createImageBitmap(new Blob([bytes], { type: image.mimeType }));
+        image.width = bitmap.width;
+        image.height = bitmap.height;
+        bitmap.close();
+      } catch (error) {
+        // SVG and some formats can't be decoded in a worker; dimensions stay unknown
       }
-      return null;
-    };
+    }
+
+    image.data = bytesToBase64(bytes);
+  } catch (error) {
+    console.warn('Could not attach image:', error.message);
+    image.error = error.message;
   }
+  return image;
+}
 
-  chrome.scripting.executeScript({
-    target: { tabId: tabId },
-    func: codeToExecute,
-    args: [urlToSend]
-  }, (injectionResults) => {
-    if (chrome.runtime.lastError) {
-      console.error('Script injection failed:', chrome.runtime.lastError.message);
-      return;
+function getImageFileName(srcUrl) {
+  try {
+    const name = decodeURIComponent(new URL(srcUrl).pathname.split('/').pop());
+    return name || 'image';
+  } catch (error) {
+    return 'image';
+  }
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+  return `${Math.ceil(bytes / 1024)} KB`;
+}
+
+// Screenshots
+// captureVisibleTab returns the viewport as a data URL; cropping to the selection is done on an
+// OffscreenCanvas because service workers have no DOM. Failures are reported in the payload.
+const SCREENSHOT_CROP_PADDING = 8; // CSS pixels kept around the selection
+
+async function getSelectionRect(tabId) {
+  const [injection] = await chrome.scripting.executeScript({
+    target: { tabId },
+    func: () => {
+      const selection = window.getSelection();
+      if (!selection || selection.rangeCount === 0 || selection.isCollapsed) {
+        return null;
+      }
+      const rect = selection.getRangeAt(0).getBoundingClientRect();
+      return { left: rect.left, top: rect.top, right: rect.right, bottom: rect.bottom, viewportWidth: window.innerWidth };
     }
-    const extractedData = injectionResults[0]?.result;
-    
-    // Find webhook name for notification
-    chrome.storage.local.get('webhooks', function (data) {
-      const webhook = data.webhooks?.find(wh => wh.url === webhookUrl);
-      const webhookName = webhook ? webhook.name : 'Webhook';
-      
-      // Build enhanced payload
-      const payload = {
-        url: urlToSend,
-        timestamp: new Date().toISOString(),
-        type: type
-      };
-
-      if (type === 'page') {
-        payload.title = extractedData?.title || null;
-        payload.description = extractedData?.description || null;
-        payload.keywords = extractedData?.keywords || null;
-        payload.favicon = extractedData?.favicon || null;
-      } else if (type === 'selection') {
-        payload.title = extractedData?.title || null;
-        payload.description = extractedData?.description || null;
-        payload.keywords = extractedData?.keywords || null;
-        payload.favicon = extractedData?.favicon || null;
-        payload.selectedText = selectionText;
-      } else if (type === 'link') {
-        payload.title = extractedData;
-        payload.linkTitle = extractedData;
-      } else if (type === 'image') {
-        payload.title = extractedData;
-        payload.altText = extractedData;
+  });
+  return injection?.result || null;
+}
+
+async function captureScreenshot(tabId, options, hasSelection) {
+  const format = options.format === 'jpeg' ? 'jpeg' : 'png';
+  const mimeType = `image/${format}`;
+  const screenshot = { mimeType, fileName: `screenshot.${format === 'jpeg' ? 'jpg' : 'png'}`, cropped: false };
+
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    const captureOptions = format === 'jpeg' ? { format, quality: options.quality } : { format };
+    const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, captureOptions);
+    let blob = await (await fetch(dataUrl)).blob();
+    const bitmap = await createImageBitmap(blob);
+    screenshot.width = bitmap.width;
+    screenshot.height = bitmap.height;
+
+    const rect = hasSelection && options.cropToSelection ? await getSelectionRect(tabId) : null;
+    if (rect) {
+      // Device pixels per CSS pixel, measured rather than assumed so page zoom is accounted for
+      const scale = bitmap.width / rect.viewportWidth;
+      const left = Math.max(0, Math.floor((rect.left - SCREENSHOT_CROP_PADDING) * scale));
+      const top = Math.max(0, Math.floor((rect.top - SCREENSHOT_CROP_PADDING) * scale));
+      const right = Math.min(bitmap.width, Math.ceil((rect.right + SCREENSHOT_CROP_PADDING) * scale));
+      const bottom = Math.min(bitmap.height, Math.ceil((rect.bottom + SCREENSHOT_CROP_PADDING) * scale));
+
+      // A selection scrolled out of view leaves nothing to crop to; keep the full viewport
+      if (right > left && bottom > top) {
+        const canvas = new OffscreenCanvas(right - left, bottom - top);
+        canvas.getContext('2d').drawImage(bitmap, left, top, right - left, bottom - top, 0, 0, right - left, bottom - top);
+        blob = await canvas.convertToBlob({ type: mimeType, quality: options.quality / 100 });
+        screenshot.width = right - left;
+        screenshot.height = bottom - top;
+        screenshot.cropped = true;
       }
+    }
+    bitmap.close();
 
-      // Find webhook to get rate limit
-      chrome.storage.local.get('webhooks', function (webhooksData) {
-        const webhook = webhooksData.webhooks?.find(wh => wh.url === webhookUrl);
-        const rateLimit = webhook ? webhook.rateLimit || 0 : 0;
-        
-        addToQueue(webhookUrl, payload, webhookName, rateLimit);
-      });
+    screenshot.byteSize = blob.size;
+    screenshot.data = bytesToBase64(new Uint8Array(await blob.arrayBuffer()));
+  } catch (error) {
+    console.warn('Could not capture screenshot:', error.message);
+    screenshot.error = error.message;
+  }
+  return screenshot;
+}
+
+// Keyboard shortcuts and quick-picker
+// Shortcuts have no context menu info, so the tab's URL and current selection stand in for it
+async function getTabSendInfo(tabId) {
+  const tab = await chrome.tabs.get(tabId);
+  let selectionText = '';
+  try {
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: () => window.getSelection().toString()
     });
+    selectionText = injection?.result || '';
+  } catch (error) {
+    // Restricted pages (chrome://, the Web Store) can't be scripted; send without a selection
+    console.warn('Could not read selection:', error.message);
+  }
+  return { pageUrl: tab.url, selectionText: selectionText.trim() || undefined };
+}
+
+async function sendToDefaultWebhook(tab) {
+  const data = await chrome.storage.local.get({ settings: {}, webhooks: [] });
+  const webhook = data.webhooks.find(wh => wh.url === data.settings.defaultWebhookUrl);
+  if (!webhook) {
+    showNotification('❌ No default webhook', 'Choose a default webhook in the extension Settings tab', false);
+    return;
+  }
+  sendToWebhook(webhook.url, await getTabSendInfo(tab.id), tab.id);
+}
+
+// Opens the searchable picker in a small window; the send context travels in the query string
+function openWebhookPicker(tabId, info) {
+  const context = encodeURIComponent(JSON.stringify({ tabId, info }));
+  chrome.windows.create({
+    url: chrome.runtime.getURL(`picker.html?context=${context}`),
+    type: 'popup',
+    width: 380,
+    height: 460,
+    focused: true
+  });
+}
+
+// Pre-send review
+// The extracted payload waits in storage while review.html is open; the window sends back
+// the edited fields, note and tags, which are merged into the payload before it is queued.
+// Reviews left open or closed without a choice are pruned after a day.
+const PENDING_REVIEWS_STORAGE_KEY = 'pendingReviews';
+const REVIEW_TAGS_STORAGE_KEY = 'reviewTags';
+const REVIEW_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const MAX_REVIEW_TAGS = 200;
+
+async function openReview(webhook, payload) {
+  const id = crypto.randomUUID();
+  const now = Date.now();
+  await updateStoredValue(PENDING_REVIEWS_STORAGE_KEY, {}, reviews => {
+    const current = Object.fromEntries(
+      Object.entries(reviews).filter(([, review]) => now - review.createdAt < REVIEW_MAX_AGE_MS)
+    );
+    return { ...current, [id]: { webhookUrl: webhook.url, payload, createdAt: now } };
+  });
+  chrome.windows.create({
+    url: chrome.runtime.getURL(`review.html?id=${id}`),
+    type: 'popup',
+    width: 480,
+    height: 640,
+    focused: true
+  });
+}
+
+// Pending review by id, left in storage (null when it was already sent, cancelled or pruned)
+async function getPendingReview(id) {
+  const data = await chrome.storage.local.get({ [PENDING_REVIEWS_STORAGE_KEY]: {} });
+  return data[PENDING_REVIEWS_STORAGE_KEY][id] || null;
+}
+
+// Removes a pending review and returns it (null when it was already sent, cancelled or pruned)
+async function takePendingReview(id) {
+  let review = null;
+  await updateStoredValue(PENDING_REVIEWS_STORAGE_KEY, {}, reviews => {
+    const { [id]: taken, ...rest } = reviews;
+    review = taken || null;
+    return rest;
   });
+  return review;
+}
+
+async function sendReviewed(id, edits) {
+  const review = await getPendingReview(id);
+  if (!review) {
+    throw new Error('This review is no longer pending');
+  }
+  const webhook = await getWebhookByUrl(review.webhookUrl);
+  if (!webhook) {
+    throw new Error('Webhook not found');
+  }
+
+  const payload = { ...review.payload, ...edits.values };
+  if (edits.note) {
+    payload.note = edits.note;
+  }
+  if (edits.tags.length > 0) {
+    payload.tags = edits.tags;
+    // Most recent first, so the review window suggests what was used lately
+    await updateStoredValue(REVIEW_TAGS_STORAGE_KEY, [], tags =>
+      [...edits.tags, ...tags.filter(tag => !edits.tags.includes(tag))].slice(0, MAX_REVIEW_TAGS)
+    );
+  }
+  // An edited payload must not be dropped by receivers as a repeat of the unedited one
+  payload.idempotencyKey = await computeIdempotencyKey(payload);
+  // Only drop the review once the payload is safely queued, so a failed send can be retried
+  await enqueuePayload(webhook, payload);
+  await takePendingReview(id);
 }
 
+async function sendFromPicker(target, tabId, info) {
+  const sendInfo = info || await getTabSendInfo(tabId);
+  if (target.groupIndex !== undefined) {
+    const data = await chrome.storage.local.get({ [GROUPS_STORAGE_KEY]: [] });
+    const group = data[GROUPS_STORAGE_KEY][target.groupIndex];
+    if (!group) {
+      throw new Error('Group not found');
+    }
+    sendToGroup(group, sendInfo, tabId);
+    return;
+  }
+
+  const webhook = await getWebhookByUrl(target.webhookUrl);
+  if (!webhook) {
+    throw new Error('Webhook not found');
+  }
+  sendToWebhook(webhook.url, sendInfo, tabId);
+}
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (!tab || tab.id === undefined) {
+    return;
+  }
+  if (command === 'send-to-default') {
+    sendToDefaultWebhook(tab);
+  } else if (command === 'open-webhook-picker') {
+    openWebhookPicker(tab.id, null);
+  }
+});
+
 function showNotification(title, message, isSuccess = true) {
   const iconPath = isSuccess ? 'images/icon48.png' : 'images/icon48.png';
   chrome.notifications.create({
@@ -335,18 +1209,16 @@ function showQueueNotification(webhookUrl, webhookName) {
         return;
       }
       
-      const now = Date.now();
-      const timeSinceLastSent = now - queueData.lastSent;
-      const rateLimitMs = queueData.rateLimit * 1000;
-      const waitTime = Math.max(0, rateLimitMs - timeSinceLastSent);
+      refillTokens(queueData);
       const queuePosition = queueData.queue.length;
-      const totalWait = Math.ceil((waitTime + (queuePosition - 1) * rateLimitMs) / 1000);
+      const totalWait = Math.ceil(estimateQueueWait(queueData) / 1000);
+      const status = isOffline() ? 'waiting for network' : `~${totalWait}s remaining`;
       
       chrome.notifications.create(notificationId, {
         type: 'basic',
         iconUrl: 'images/icon48.png',
         title: `⏳ ${webhookName} - Queued`,
-        message: `${queuePosition} in queue, ~${totalWait}s remaining`
+        message: `${queuePosition} in queue, ${status}`
       });
     }
     
@@ -372,32 +1244,148 @@ function clearQueueNotification(webhookUrl) {
   }
 }
 
-function postToWebhookDirect(webhookUrl, payload, retryCount = 3, webhookName = 'Webhook') {
-  fetch(webhookUrl, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(payload)
-  }).then(response => {
-    if (!response.ok && retryCount > 0) {
-      console.log(`Webhook failed with status ${response.status}, retrying... (${retryCount} attempts left)`);
-      setTimeout(() => postToWebhookDirect(webhookUrl, payload, retryCount - 1, webhookName), 1000);
-    } else if (response.ok) {
-      console.log('Webhook sent with response status:', response.status);
-      showNotification(`✅ ${webhookName} - Success`, `Data sent successfully to ${webhookName}`, true);
-    } else {
-      console.log('Webhook failed after all retries');
-      showNotification(`❌ ${webhookName} - Failed`, `Failed to send data after 3 attempts`, false);
+async function getWebhookByUrl(webhookUrl) {
+  const data = await chrome.storage.local.get('webhooks');
+  return data.webhooks?.find(wh => wh.url === webhookUrl) || null;
+}
+
+function finishDelivery(webhookUrl, item, result) {
+  const webhookName = item.webhookName;
+  if (item.fanoutId) {
+    if (!result.ok) {
+      addDeadLetter(webhookUrl, item, result);
     }
-  }).catch(error => {
+    recordFanoutResult(item.fanoutId, webhookName, result.ok ? 'delivered' : 'failed');
+    return;
+  }
+
+  if (result.ok) {
+    console.log('Webhook sent with response status:', result.status);
+    showNotification(`✅ ${webhookName} - Success`, `Data sent successfully to ${webhookName}`, true);
+    return;
+  }
+
+  addDeadLetter(webhookUrl, item, result);
+  if (result.status) {
+    console.log(`Webhook failed after ${item.attempt} attempt(s)`);
+    showNotification(`❌ ${webhookName} - Failed`, `HTTP ${result.status} after ${item.attempt} attempt(s). Saved to Failed deliveries.`, false);
+  } else if (result.permanent) {
+    // The request could not be built: a template, header or signing problem, not the network
+    showNotification(`❌ ${webhookName} - Configuration error`, `${result.error}. Check the webhook's template and settings. Saved to Failed deliveries.`, false);
+  } else {
+    showNotification(`❌ ${webhookName} - Error`, `Network error: ${result.error}. Saved to Failed deliveries.`, false);
+  }
+}
+
+// Makes a single delivery attempt; retries are scheduled by processQueue
+async function postToWebhookDirect(webhook, payload) {
+  let request;
+  try {
+    request = await buildWebhookRequest(webhook, payload);
+  } catch (error) {
+    // A broken template or config won't fix itself, so don't retry it
+    console.error('Error building webhook request:', error);
+    return { ok: false, status: 0, error: `Invalid request: ${error.message}`, permanent: true, latency: 0 };
+  }
+
+  const startTime = Date.now();
+  try {
+    const response = await fetch(webhook.url, request);
+    return {
+      ok: response.ok,
+      status: response.status,
+      retryAfter: parseRetryAfter(response.headers.get('Retry-After')),
+      responseBody: await response.text().catch(() => ''),
+      latency: Date.now() - startTime
+    };
+  } catch (error) {
     console.error('Error sending webhook:', error);
-    if (retryCount > 0) {
-      console.log(`Retrying webhook in 2 seconds... (${retryCount} attempts left)`);
-      setTimeout(() => postToWebhookDirect(webhookUrl, payload, retryCount - 1, webhookName), 2000);
-    } else {
-      showNotification(`❌ ${webhookName} - Error`, `Network error: ${error.message}`, false);
-    }
+    return { ok: false, status: 0, error: error.message, latency: Date.now() - startTime };
+  }
+}
+
+// Serialize read-modify-write cycles on chrome.storage.local so concurrent
+// deliveries don't overwrite each other's updates
+let storageUpdateChain = Promise.resolve();
+function updateStoredValue(key, defaultValue, updater) {
+  storageUpdateChain = storageUpdateChain.then(async () => {
+    const data = await chrome.storage.local.get({ [key]: defaultValue });
+    await chrome.storage.local.set({ [key]: updater(data[key]) });
+  }).catch(error => {
+    console.error(`Failed to update ${key}:`, error);
+  });
+  return storageUpdateChain;
+}
+
+// Dead-letter store for deliveries that exhausted their retries
+const DEAD_LETTER_STORAGE_KEY = 'deadLetters';
+const MAX_DEAD_LETTERS = 100;
+
+function addDeadLetter(webhookUrl, item, result) {
+  const entry = {
+    id: item.id,
+    webhookUrl,
+    webhookName: item.webhookName,
+    payload: item.payload,
+    status: result.status || null,
+    error: result.error || `HTTP ${result.status}`,
+    permanent: !!result.permanent,
+    attempts: item.attempt,
+    queuedAt: item.timestamp,
+    failedAt: Date.now()
+  };
+  // It was never delivered, so it must not block sending the same page again
+  forgetRecentSend(webhookUrl, item.payload);
+  return updateStoredValue(DEAD_LETTER_STORAGE_KEY, [], deadLetters => [entry, ...deadLetters].slice(0, MAX_DEAD_LETTERS));
+}
+
+function removeDeadLetter(id) {
+  return updateStoredValue(DEAD_LETTER_STORAGE_KEY, [], deadLetters => deadLetters.filter(entry => entry.id !== id));
+}
+
+// Re-queue a dead letter, optionally edited and/or pointed at a different webhook
+async function replayDeadLetter(id, webhookUrl, payload) {
+  const webhook = await getWebhookByUrl(webhookUrl);
+  if (!webhook) {
+    throw new Error('Webhook not found');
+  }
+  // Only drop the entry once the replay is safely queued
+  await addToQueue(webhook.url, payload, webhook.name, getTokenBucket(webhook));
+  await removeDeadLetter(id);
+}
+
+// Delivery history, newest first, capped by count and age
+const HISTORY_STORAGE_KEY = 'deliveryHistory';
+const MAX_HISTORY_ENTRIES = 200;
+const HISTORY_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const HISTORY_BODY_LIMIT = 500;
+
+function getPayloadType(payload) {
+  if (Array.isArray(payload)) return 'batch';
+  if (payload.type === 'linkedin_mutual_connections') return 'linkedin';
+  return payload.type || 'unknown';
+}
+
+function recordDeliveryAttempt(webhookUrl, item, result) {
+  const entry = {
+    id: crypto.randomUUID(),
+    itemId: item.id,
+    webhookUrl,
+    webhookName: item.webhookName,
+    payloadType: getPayloadType(item.payload),
+    url: Array.isArray(item.payload) ? null : item.payload.url || null,
+    ok: result.ok,
+    status: result.status || null,
+    error: result.error || null,
+    permanent: !!result.permanent,
+    latency: result.latency,
+    attempt: item.attempt,
+    responseBody: (result.responseBody || '').slice(0, HISTORY_BODY_LIMIT),
+    timestamp: Date.now()
+  };
+  return updateStoredValue(HISTORY_STORAGE_KEY, [], history => {
+    const cutoff = Date.now() - HISTORY_MAX_AGE_MS;
+    return [entry, ...history.filter(previous => previous.timestamp >= cutoff)].slice(0, MAX_HISTORY_ENTRIES);
   });
 }
 
@@ -406,6 +1394,8 @@ chrome.storage.onChanged.addListener((changes, namespace) => {
   if (namespace === 'local' && changes.webhooks) {
     updateWebhookMenus();
     initializeQueues();
+  } else if (namespace === 'local' && (changes[GROUPS_STORAGE_KEY] || changes[ROUTING_RULES_STORAGE_KEY])) {
+    updateWebhookMenus();
   }
 });
 
@@ -530,17 +1520,22 @@ async function sendLinkedInDataToWebhooks(linkedinData) {
       type: 'linkedin_mutual_connections',
       source: 'chrome_extension_linkedin_parser'
     };
+    enhancedPayload.idempotencyKey = await computeIdempotencyKey(enhancedPayload);
     
     // Send to each selected webhook
+    let reviewing = 0;
     for (const webhook of targetWebhooks) {
       try {
-        addToQueue(webhook.url, enhancedPayload, webhook.name, webhook.rateLimit || 0);
+        if (await sendOrReview(webhook, enhancedPayload) === 'review') {
+          reviewing++;
+        }
       } catch (error) {
         console.error(`Failed to queue LinkedIn data for webhook ${webhook.name}:`, error);
       }
     }
     
-    showNotification('📤 LinkedIn Parser', `LinkedIn data queued for ${targetWebhooks.length} webhook(s)`, true);
+    const reviewNote = reviewing > 0 ? `, ${reviewing} waiting for review` : '';
+    showNotification('📤 LinkedIn Parser', `LinkedIn data queued for ${targetWebhooks.length - reviewing} webhook(s)${reviewNote}`, true);
   } catch (error) {
     console.error('Error sending LinkedIn data to webhooks:', error);
     showNotification('❌ LinkedIn Parser', `Error sending to webhooks: ${error.message}`, false);
@@ -575,3 +1570,45 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
 });
+
+
+// Message handler for popup actions on the delivery queue
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'replayDeadLetter') {
+    replayDeadLetter(request.id, request.webhookUrl, request.payload)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  if (request.action === 'flushBatch') {
+    flushBatch(request.webhookUrl)
+      .then(count => sendResponse({ success: true, count }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  if (request.action === 'sendFromPicker') {
+    sendFromPicker(request.target, request.tabId, request.info)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
+  if (request.action === 'sendReviewed') {
+    sendReviewed(request.id, request.edits)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'cancelReview') {
+    takePendingReview(request.id).then(() => sendResponse({ success: true }));
+    return true;
+  }
+
+  if (request.action === 'discardDeadLetter') {
+    removeDeadLetter(request.id).then(() => sendResponse({ success: true }));
+    return true;
+  }
+});
@@ -10,8 +10,13 @@ const DIST_DIR = 'dist';
 const INCLUDE_PATHS = [
   'images/',
   'contentScripts/',
+  'lib/',
   'popup.js',
   'popup.html',
+  'picker.js',
+  'picker.html',
+  'review.js',
+  'review.html',
   'manifest.json',
   'background.js'
 ];
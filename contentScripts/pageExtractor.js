@@ -0,0 +1,563 @@
+// Page data extractor
+// Injected on demand by background.js (chrome.scripting, `files`) before each send, then called
+// through WebhookPageExtractor.extract() and, for extraction profiles, extractFields().
+// Re-injecting into the same page reuses the first copy.
+
+if (!globalThis.WebhookPageExtractor) {
+  globalThis.WebhookPageExtractor = (() => {
+    function getMetaContent(...keys) {
+      for (const key of keys) {
+        const element = document.querySelector(`meta[name="${key}"], meta[property="${key}"]`);
+        const content = element?.getAttribute('content')?.trim();
+        if (content) {
+          return content;
+        }
+      }
+      return null;
+    }
+
+    // Collects meta tags sharing a prefix (og:, twitter:) into an object; repeated tags become arrays
+    function collectMetaTags(prefix) {
+      const tags = {};
+      document.querySelectorAll(`meta[property^="${prefix}"], meta[name^="${prefix}"]`).forEach(element => {
+        const key = (element.getAttribute('property') || element.getAttribute('name')).slice(prefix.length);
+        const content = element.getAttribute('content');
+        if (!key || content === null) {
+          return;
+        }
+        if (key in tags) {
+          tags[key] = [].concat(tags[key], content);
+        } else {
+          tags[key] = content;
+        }
+      });
+      return tags;
+    }
+
+    // Parses every ld+json block, flattening @graph containers; malformed blocks are skipped
+    function collectJsonLd() {
+      const items = [];
+      document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+        try {
+          const data = JSON.parse(script.textContent);
+          [].concat(data).forEach(entry => {
+            if (entry && Array.isArray(entry['@graph'])) {
+              items.push(...entry['@graph']);
+            } else if (entry) {
+              items.push(entry);
+            }
+          });
+        } catch (error) {
+          // Sites often ship broken JSON-LD; ignore it rather than failing the send
+        }
+      });
+      return items;
+    }
+
+    function findJsonLdValue(items, key) {
+      for (const item of items) {
+        if (item[key]) {
+          return item[key];
+        }
+      }
+      return null;
+    }
+
+    function describeAuthor(author) {
+      if (!author) {
+        return null;
+      }
+      if (typeof author === 'string') {
+        return author;
+      }
+      return [].concat(author).map(entry => (typeof entry === 'string' ? entry : entry.name)).filter(Boolean).join(', ') || null;
+    }
+
+    function countWords(text) {
+      return (text || '').split(/\s+/).filter(Boolean).length;
+    }
+
+    function extractMetadata() {
+      const jsonLd = collectJsonLd();
+      const openGraph = collectMetaTags('og:');
+      const twitter = collectMetaTags('twitter:');
+
+      return {
+        canonicalUrl: document.querySelector('link[rel="canonical"]')?.href || null,
+        lang: document.documentElement.lang || null,
+        siteName: openGraph.site_name || null,
+        author: getMetaContent('author', 'article:author') ||
+          describeAuthor(findJsonLdValue(jsonLd, 'author')) ||
+          document.querySelector('[rel="author"]')?.textContent.trim() ||
+          null,
+        publishedTime: getMetaContent('article:published_time', 'date', 'pubdate') ||
+          findJsonLdValue(jsonLd, 'datePublished') ||
+          document.querySelector('time[datetime]')?.getAttribute('datetime') ||
+          null,
+        modifiedTime: getMetaContent('article:modified_time', 'og:updated_time', 'last-modified') ||
+          findJsonLdValue(jsonLd, 'dateModified') ||
+          null,
+        wordCount: countWords(document.body?.innerText),
+        openGraph,
+        twitter,
+        jsonLd
+      };
+    }
+
+    // Markdown conversion
+    // Covers what articles and selections usually contain: headings, paragraphs, links,
+    // emphasis, lists, quotes, code, images and tables (flattened to rows)
+    function collapseWhitespace(text) {
+      return text.replace(/\s+/g, ' ');
+    }
+
+    function convertChildren(node, context) {
+      return Array.from(node.childNodes).map(child => nodeToMarkdown(child, context)).join('');
+    }
+
+    function nodeToMarkdown(node, context = { listDepth: 0 }) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        return context.pre ? node.textContent : collapseWhitespace(node.textContent);
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE && node.nodeType !== Node.DOCUMENT_FRAGMENT_NODE) {
+        return '';
+      }
+      if (node.nodeType === Node.DOCUMENT_FRAGMENT_NODE) {
+        return convertChildren(node, context);
+      }
+
+      const tag = node.tagName.toLowerCase();
+      const inner = () => convertChildren(node, context);
+      switch (tag) {
+        case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6':
+          return `\n\n${'#'.repeat(Number(tag[1]))} ${inner().trim()}\n\n`;
+        case 'p': case 'div': case 'section': case 'article': case 'header': case 'figure':
+          return `\n\n${inner().trim()}\n\n`;
+        case 'br':
+          return '  \n';
+        case 'hr':
+          return '\n\n---\n\n';
+        case 'strong': case 'b': {
+          const text = inner().trim();
+          return text ? `**${text}**` : '';
+        }
+        case 'em': case 'i': {
+          const text = inner().trim();
+          return text ? `_${text}_` : '';
+        }
+        case 'code':
+          return context.pre ? node.textContent : `\`${node.textContent}\``;
+        case 'pre':
+          return `\n\n\`\`\`\n${convertChildren(node, { ...context, pre: true }).replace(/\n+$/, '')}\n\`\`\`\n\n`;
+        case 'a': {
+          const text = inner().trim();
+          const href = node.href;
+          return href && text && !href.startsWith('javascript:') ? `[${text}](${href})` : text;
+        }
+        case 'img': {
+          const src = node.currentSrc || node.src;
+          return src ? `![${node.alt || ''}](${src})` : '';
+        }
+        case 'blockquote':
+          return `\n\n${inner().trim().split('\n').map(line => `> ${line}`).join('\n')}\n\n`;
+        case 'ul': case 'ol': {
+          const items = Array.from(node.children).filter(child => child.tagName === 'LI');
+          const indent = '  '.repeat(context.listDepth);
+          const lines = items.map((item, index) => {
+            const marker = tag === 'ol' ? `${index + 1}.` : '-';
+            const text = convertChildren(item, { ...context, listDepth: context.listDepth + 1 }).trim().replace(/\n{2,}/g, '\n');
+            return `${indent}${marker} ${text}`;
+          });
+          return `\n\n${lines.join('\n')}\n\n`;
+        }
+        case 'tr':
+          return `\n| ${Array.from(node.children).map(cell => convertChildren(cell, context).trim()).join(' | ')} |`;
+        case 'script': case 'style': case 'noscript': case 'template': case 'svg': case 'button':
+          return '';
+        default:
+          return inner();
+      }
+    }
+
+    function toMarkdown(node) {
+      return nodeToMarkdown(node)
+        .replace(/[ \t]+\n/g, match => (match.endsWith('  \n') ? '  \n' : '\n'))
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+    }
+
+    // Plain text keeps paragraph breaks but drops Markdown syntax
+    function toPlainText(node) {
+      const clone = node.cloneNode(true);
+      clone.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+      clone.querySelectorAll('p, div, section, li, h1, h2, h3, h4, h5, h6, blockquote, pre, tr').forEach(block => {
+        block.append('\n\n');
+      });
+      return clone.textContent
+        .replace(/[ \t]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+    }
+
+    // Article extraction
+    // A small readability-style pass: strip obvious page chrome, score block containers by
+    // the paragraph text they hold (penalising link-heavy blocks) and keep the best one
+    const ARTICLE_NOISE_SELECTOR = [
+      'script', 'style', 'noscript', 'iframe', 'form', 'nav', 'aside', 'footer', 'header:not(article header)',
+      '[role="navigation"]', '[role="banner"]', '[role="complementary"]', '[aria-hidden="true"]',
+      '[class*="comment" i]', '[class*="share" i]', '[class*="related" i]', '[class*="advert" i]',
+      '[class*="newsletter" i]', '[class*="cookie" i]', '[id*="comment" i]', '[class*="sidebar" i]'
+    ].join(', ');
+    const WORDS_PER_MINUTE = 200;
+
+    function linkDensity(element) {
+      const textLength = element.textContent.length || 1;
+      const linkLength = Array.from(element.querySelectorAll('a')).reduce((sum, link) => sum + link.textContent.length, 0);
+      return linkLength / textLength;
+    }
+
+    function findMainContent(root) {
+      const semantic = root.querySelector('article, [itemprop="articleBody"], [role="main"], main');
+      if (semantic && semantic.textContent.trim().length > 500) {
+        return semantic;
+      }
+
+      const scores = new Map();
+      root.querySelectorAll('p, pre, td').forEach(paragraph => {
+        const text = paragraph.textContent.trim();
+        if (text.length < 25) {
+          return;
+        }
+        const score = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+        const parent = paragraph.parentElement;
+        const grandparent = parent?.parentElement;
+        if (parent) scores.set(parent, (scores.get(parent) || 0) + score);
+        if (grandparent) scores.set(grandparent, (scores.get(grandparent) || 0) + score / 2);
+      });
+
+      let best = null;
+      let bestScore = 0;
+      scores.forEach((score, element) => {
+        const adjusted = score * (1 - linkDensity(element));
+        if (adjusted > bestScore) {
+          best = element;
+          bestScore = adjusted;
+        }
+      });
+      return best || semantic || root;
+    }
+
+    // formats: any of 'markdown' and 'text'; only the requested conversions are returned
+    function extractArticle(formats) {
+      const root = document.body.cloneNode(true);
+      root.querySelectorAll(ARTICLE_NOISE_SELECTOR).forEach(element => element.remove());
+      const content = findMainContent(root);
+
+      const text = toPlainText(content);
+      const wordCount = countWords(text);
+      const article = {
+        title: content.querySelector('h1')?.textContent.trim() || getMetaContent('og:title') || document.title,
+        excerpt: getMetaContent('description', 'og:description'),
+        wordCount,
+        readingTimeMinutes: Math.max(1, Math.ceil(wordCount / WORDS_PER_MINUTE))
+      };
+      if (formats.includes('markdown')) {
+        article.markdown = toMarkdown(content);
+      }
+      if (formats.includes('text')) {
+        article.text = text;
+      }
+      return article;
+    }
+
+    function extractPageInfo(options) {
+      const info = {
+        title: document.title,
+        description: document.querySelector('meta[name="description"]')?.getAttribute('content') || null,
+        keywords: document.querySelector('meta[name="keywords"]')?.getAttribute('content') || null,
+        favicon: document.querySelector('link[rel="icon"]')?.href || document.querySelector('link[rel="shortcut icon"]')?.href || null,
+        metadata: extractMetadata()
+      };
+      if (options.articleFormats && options.articleFormats.length > 0) {
+        info.article = extractArticle(options.articleFormats);
+      }
+      return info;
+    }
+
+    // Selection capture
+    const SELECTION_CONTEXT_LENGTH = 200; // Characters of surrounding text on each side
+    const FRAGMENT_EDGE_WORDS = 5; // Words kept at each end of long passages in text-fragment links
+
+    // Text-fragment directives reserve "-", "," and "&", so encode them along with the usual characters
+    function encodeFragmentPart(text) {
+      return encodeURIComponent(text).replace(/-/g, '%2D').replace(/,/g, '%2C');
+    }
+
+    function words(text) {
+      return text.split(/\s+/).filter(Boolean);
+    }
+
+    // Builds a #:~:text= link to the passage: short passages verbatim, long ones as start,end,
+    // with a few words of prefix and suffix so repeated phrases resolve to the right spot
+    function buildTextFragmentUrl(text, before, after) {
+      const passage = words(text);
+      if (passage.length === 0) {
+        return null;
+      }
+
+      let directive;
+      if (passage.length <= FRAGMENT_EDGE_WORDS * 2) {
+        directive = encodeFragmentPart(passage.join(' '));
+      } else {
+        const start = passage.slice(0, FRAGMENT_EDGE_WORDS).join(' ');
+        const end = passage.slice(-FRAGMENT_EDGE_WORDS).join(' ');
+        directive = `${encodeFragmentPart(start)},${encodeFragmentPart(end)}`;
+      }
+
+      const prefix = words(before).slice(-3).join(' ');
+      const suffix = words(after).slice(0, 3).join(' ');
+      if (prefix) {
+        directive = `${encodeFragmentPart(prefix)}-,${directive}`;
+      }
+      if (suffix) {
+        directive = `${directive},-${encodeFragmentPart(suffix)}`;
+      }
+
+      const url = new URL(location.href);
+      url.hash = '';
+      return `${url.href}#:~:text=${directive}`;
+    }
+
+    // Script, style and hidden elements are in the DOM (and in Range.toString()) but not on the page
+    function isRenderedText(node) {
+      return node.parentElement?.checkVisibility({ visibilityProperty: true }) ?? false;
+    }
+
+    // Rendered text on one side of the range, read outward from the boundary until there is enough
+    function collectContextText(range, backwards) {
+      const container = backwards ? range.startContainer : range.endContainer;
+      const offset = backwards ? range.startOffset : range.endOffset;
+      const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+      const step = () => (backwards ? walker.previousNode() : walker.nextNode());
+
+      let node;
+      if (container.nodeType === Node.TEXT_NODE) {
+        walker.currentNode = container;
+        node = container;
+      } else if (backwards && container.childNodes[offset]) {
+        walker.currentNode = container.childNodes[offset];
+        node = step();
+      } else if (backwards) {
+        // Boundary after the container's last child: start from its last text node
+        walker.currentNode = container;
+        node = walker.lastChild() || step();
+      } else {
+        walker.currentNode = container;
+        node = step();
+      }
+
+      const parts = [];
+      let length = 0;
+      for (; node && length < SELECTION_CONTEXT_LENGTH; node = step()) {
+        // Walking forward from an element boundary passes its children that are still in the selection
+        if (!backwards && node !== container && range.comparePoint(node, 0) !== 1) {
+          continue;
+        }
+        if (!isRenderedText(node)) {
+          continue;
+        }
+        let text = node.nodeValue;
+        if (node === container) {
+          text = backwards ? text.slice(0, offset) : text.slice(offset);
+        }
+        parts.push(text);
+        length += collapseWhitespace(text).length;
+      }
+      if (backwards) {
+        parts.reverse();
+      }
+      return collapseWhitespace(parts.join(''));
+    }
+
+    function getSurroundingText(range) {
+      return {
+        before: collectContextText(range, true).slice(-SELECTION_CONTEXT_LENGTH).trimStart(),
+        after: collectContextText(range, false).slice(0, SELECTION_CONTEXT_LENGTH).trimEnd()
+      };
+    }
+
+    // null when there is no DOM selection (e.g. text selected inside an input or textarea)
+    function extractSelection() {
+      const selection = window.getSelection();
+      if (!selection || selection.rangeCount === 0 || selection.isCollapsed) {
+        return null;
+      }
+
+      const range = selection.getRangeAt(0);
+      const container = document.createElement('div');
+      container.appendChild(range.cloneContents());
+      const text = selection.toString();
+      const { before, after } = getSurroundingText(range);
+
+      return {
+        text,
+        html: container.innerHTML,
+        markdown: toMarkdown(container),
+        contextBefore: before,
+        contextAfter: after,
+        textFragmentUrl: buildTextFragmentUrl(text, before, after)
+      };
+    }
+
+    // Links
+    const LINK_SNIPPET_LENGTH = 300;
+    const SNIPPET_BLOCK_SELECTOR = 'p, li, td, th, dd, blockquote, figcaption, h1, h2, h3, h4, h5, h6';
+
+    // The closest heading before the element in document order
+    function findNearestHeading(element) {
+      let nearest = null;
+      for (const heading of document.querySelectorAll('h1, h2, h3, h4, h5, h6')) {
+        if (heading.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_FOLLOWING || heading.contains(element)) {
+          nearest = heading;
+        } else {
+          break;
+        }
+      }
+      return nearest ? collapseWhitespace(nearest.textContent).trim() : null;
+    }
+
+    // Text of the surrounding block, centred on the link when the block is long
+    function getLinkSnippet(link) {
+      const block = link.closest(SNIPPET_BLOCK_SELECTOR) || link.parentElement;
+      const text = collapseWhitespace(block?.textContent || '').trim();
+      if (text.length <= LINK_SNIPPET_LENGTH) {
+        return text || null;
+      }
+      const linkText = collapseWhitespace(link.textContent).trim();
+      const position = Math.max(0, text.indexOf(linkText));
+      const start = Math.max(0, Math.min(position - LINK_SNIPPET_LENGTH / 2, text.length - LINK_SNIPPET_LENGTH));
+      const snippet = text.slice(start, start + LINK_SNIPPET_LENGTH).trim();
+      return `${start > 0 ? '…' : ''}${snippet}${start + LINK_SNIPPET_LENGTH < text.length ? '…' : ''}`;
+    }
+
+    function describeLink(link) {
+      return {
+        url: link.href,
+        text: collapseWhitespace(link.innerText || link.textContent).trim() || link.querySelector('img[alt]')?.alt || null,
+        title: link.title || null,
+        rel: link.getAttribute('rel') || null,
+        target: link.getAttribute('target') || null,
+        heading: findNearestHeading(link)
+      };
+    }
+
+    // Several anchors can share an href (logo and headline, say); prefer one that is visible
+    function findLinkInfo(url) {
+      const matches = Array.from(document.querySelectorAll('a[href]')).filter(link => link.href === url);
+      const link = matches.find(candidate => candidate.getClientRects().length > 0) || matches[0];
+      if (!link) {
+        return null;
+      }
+      return { ...describeLink(link), snippet: getLinkSnippet(link) };
+    }
+
+    // Every distinct link touched by the current selection, in document order
+    function extractSelectionLinks() {
+      const selection = window.getSelection();
+      if (!selection || selection.rangeCount === 0 || selection.isCollapsed) {
+        return [];
+      }
+
+      const links = [];
+      const seen = new Set();
+      for (let i = 0; i < selection.rangeCount; i++) {
+        const range = selection.getRangeAt(i);
+        document.querySelectorAll('a[href]').forEach(link => {
+          if (!seen.has(link.href) && range.intersectsNode(link) && /^https?:|^mailto:/.test(link.href)) {
+            seen.add(link.href);
+            links.push(describeLink(link));
+          }
+        });
+      }
+      return links;
+    }
+
+    function findImageInfo(url) {
+      for (const img of document.querySelectorAll('img')) {
+        if (img.src === url || img.currentSrc === url) {
+          return { alt: img.alt || null, width: img.naturalWidth || null, height: img.naturalHeight || null };
+        }
+      }
+      return null;
+    }
+
+    // Extraction profile fields: CSS selectors or XPath expressions defined in the popup
+    function queryFieldNodes(field) {
+      if (field.selectorType === 'xpath') {
+        const result = document.evaluate(field.selector, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+        const nodes = [];
+        for (let i = 0; i < result.snapshotLength; i++) {
+          nodes.push(result.snapshotItem(i));
+        }
+        return nodes;
+      }
+      return Array.from(document.querySelectorAll(field.selector));
+    }
+
+    function readFieldValue(node, field) {
+      // XPath can select attribute and text nodes directly (//meta[@name="author"]/@content)
+      if (node.nodeType !== Node.ELEMENT_NODE) {
+        return collapseWhitespace(node.nodeValue || '').trim() || null;
+      }
+      if (field.mode === 'attribute') {
+        const value = node.getAttribute(field.attribute);
+        if (value && (field.attribute === 'href' || field.attribute === 'src')) {
+          return new URL(value, document.baseURI).href;
+        }
+        return value;
+      }
+      if (field.mode === 'html') {
+        return node.innerHTML;
+      }
+      return collapseWhitespace(node.innerText || node.textContent).trim() || null;
+    }
+
+    // Resolves each field to its first match (or every match when `all` is set);
+    // a broken selector only fails its own field
+    function extractFields(fields) {
+      const values = {};
+      const errors = {};
+      fields.forEach(field => {
+        try {
+          const nodes = queryFieldNodes(field);
+          values[field.name] = field.all
+            ? nodes.map(node => readFieldValue(node, field)).filter(value => value !== null)
+            : (nodes.length > 0 ? readFieldValue(nodes[0], field) : null);
+        } catch (error) {
+          values[field.name] = field.all ? [] : null;
+          errors[field.name] = error.message;
+        }
+      });
+      return { values, errors };
+    }
+
+    function extract(type, targetUrl, options = {}) {
+      if (type === 'link') {
+        return findLinkInfo(targetUrl);
+      }
+      if (type === 'links') {
+        return { title: document.title, links: extractSelectionLinks() };
+      }
+      if (type === 'image') {
+        return findImageInfo(targetUrl);
+      }
+      if (type === 'selection') {
+        return { ...extractPageInfo({}), selection: extractSelection() };
+      }
+      return extractPageInfo(options);
+    }
+
+    return { extract, extractFields };
+  })();
+}
@@ -0,0 +1,101 @@
+// Delivery queue bookkeeping for the service worker (needs lib/webhookConfig.js and lib/request.js)
+// No chrome.* calls here; background.js does the storage, alarms and notifications
+
+// What survives a service worker restart: queues with pending items, and token buckets
+// that are still refilling so a restart can't be used to skip the rate limit
+function buildQueueSnapshot(webhookQueues) {
+  const snapshot = {};
+  webhookQueues.forEach((queueData, webhookUrl) => {
+    const bucketDrained = queueData.tokenBucket && queueData.tokens < queueData.tokenBucket.capacity;
+    if (queueData.queue.length > 0 || bucketDrained) {
+      snapshot[webhookUrl] = {
+        queue: queueData.queue,
+        tokenBucket: queueData.tokenBucket,
+        tokens: queueData.tokens,
+        lastRefill: queueData.lastRefill
+      };
+    }
+  });
+  return snapshot;
+}
+
+// Rough time until the last queued item is sent: the head item's retry backoff, then a
+// token for every item still waiting. An item being sent has already taken its token.
+function estimateQueueWait(queueData, now = Date.now()) {
+  const head = queueData.queue[0];
+  const waiting = queueData.queue.length - (queueData.processing ? 1 : 0);
+  if (!head || waiting <= 0) return 0;
+
+  const backoffMs = !queueData.processing && head.notBefore ? Math.max(0, head.notBefore - now) : 0;
+  // The bucket keeps refilling (up to capacity) during the backoff
+  const afterBackoff = { ...queueData };
+  refillTokens(afterBackoff, now + backoffMs);
+  return backoffMs + msUntilTokens(afterBackoff, waiting);
+}
+
+// Duplicate suppression compares the type and URL of what was captured
+function getDedupeKey(payload) {
+  return `${payload.type}|${getPayloadUrl(payload)}`;
+}
+
+// A batch stands for each of its items
+function getDedupeKeys(payload) {
+  return Array.isArray(payload) ? payload.map(item => getDedupeKey(item.payload)) : [getDedupeKey(payload)];
+}
+
+// Checks a key against one webhook's recent sends (key -> time). Returns the sends still
+// inside the window, with this one added unless it is a duplicate.
+function checkRecentSend(sends, key, windowMs, now = Date.now()) {
+  const current = Object.fromEntries(Object.entries(sends || {}).filter(([, sentAt]) => now - sentAt < windowMs));
+  const isDuplicate = key in current;
+  if (!isDuplicate) {
+    current[key] = now;
+  }
+  return { isDuplicate, sends: current };
+}
+
+// Group fan-outs ({ groupName, total, results, createdAt }) collect one outcome per member:
+// 'delivered', 'failed', 'batched', 'duplicate' or 'review'
+function addFanoutResult(fanout, webhookName, outcome) {
+  return { ...fanout, results: [...fanout.results, { webhookName, outcome }] };
+}
+
+function isFanoutComplete(fanout) {
+  return fanout.results.length >= fanout.total;
+}
+
+function pruneFanouts(fanouts, maxAgeMs, now = Date.now()) {
+  return Object.fromEntries(Object.entries(fanouts).filter(([, fanout]) => now - fanout.createdAt <= maxAgeMs));
+}
+
+// Title and message of the combined notification for a completed fan-out
+function summarizeFanout(fanout) {
+  const namesWith = outcome => fanout.results.filter(r => r.outcome === outcome).map(r => r.webhookName);
+  const delivered = namesWith('delivered');
+  const failed = namesWith('failed');
+  const batched = namesWith('batched');
+  const skipped = namesWith('duplicate');
+  const reviewing = namesWith('review');
+
+  const lines = [];
+  if (failed.length > 0) lines.push(`Failed: ${failed.join(', ')} (saved to Failed deliveries)`);
+  if (batched.length > 0) lines.push(`Batched: ${batched.join(', ')}`);
+  if (skipped.length > 0) lines.push(`Duplicate skipped: ${skipped.join(', ')}`);
+  if (reviewing.length > 0) lines.push(`Waiting for review: ${reviewing.join(', ')}`);
+  if (lines.length === 0) lines.push(`Sent to ${delivered.join(', ')}`);
+
+  const icon = failed.length > 0 ? '⚠️' : '✅';
+  return {
+    title: `${icon} ${fanout.groupName} - ${delivered.length}/${fanout.total} delivered`,
+    message: lines.join('\n'),
+    success: failed.length === 0
+  };
+}
+
+// Returns the webhook's batch buffer with the payload added, opening a new buffer when
+// there is none yet. Items keep their own id so the batch's idempotency key is stable.
+function appendToBatch(buffer, webhookName, payload, now = Date.now()) {
+  const updated = buffer ? { ...buffer, items: [...buffer.items] } : { webhookName, openedAt: now, items: [] };
+  updated.items.push({ id: crypto.randomUUID(), queuedAt: new Date(now).toISOString(), payload });
+  return updated;
+}
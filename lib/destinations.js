@@ -0,0 +1,261 @@
+// Destination presets that turn a payload into a service's native message format
+// Shared by the service worker (deliveries) and the popup (form and Test button)
+
+const DESTINATION_TYPES = {
+  generic: 'Generic JSON',
+  slack: 'Slack',
+  discord: 'Discord',
+  teams: 'Microsoft Teams',
+  n8n: 'n8n',
+  zapier: 'Zapier'
+};
+
+// Services that only accept their own JSON message format
+const CHAT_DESTINATIONS = ['slack', 'discord', 'teams'];
+
+// Guess the destination from well-known incoming-webhook hosts
+function detectDestinationType(url) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (e) {
+    return 'generic';
+  }
+
+  const host = urlObj.hostname.toLowerCase();
+  if (host === 'hooks.slack.com') return 'slack';
+  if (/(^|\.)discord(app)?\.com$/.test(host) && urlObj.pathname.startsWith('/api/webhooks/')) return 'discord';
+  if (host.endsWith('.webhook.office.com') || (host === 'outlook.office.com' && urlObj.pathname.startsWith('/webhook'))) return 'teams';
+  if (host === 'hooks.zapier.com') return 'zapier';
+  if (host.endsWith('.n8n.cloud') || host.split('.').includes('n8n')) return 'n8n';
+  return 'generic';
+}
+
+function getDestinationType(webhook) {
+  if (webhook.destination && webhook.destination !== 'auto') {
+    return webhook.destination;
+  }
+  return detectDestinationType(webhook.url);
+}
+
+function truncateText(text, maxLength) {
+  if (!text) return '';
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+// Batches are arrays of { id, queuedAt, payload } and are listed one line per item
+function summarizeBatch(items) {
+  const lines = items.slice(0, 20).map(item => {
+    const title = item.payload.title || item.payload.url || item.payload.type;
+    return item.payload.url && title !== item.payload.url ? `• ${title} (${item.payload.url})` : `• ${title}`;
+  });
+  if (items.length > 20) {
+    lines.push(`…and ${items.length - 20} more`);
+  }
+
+  return {
+    title: `${items.length} item(s) from Webhook Manager`,
+    url: null,
+    text: lines.join('\n'),
+    imageUrl: null,
+    fields: [],
+    type: 'batch',
+    timestamp: new Date().toISOString()
+  };
+}
+
+// Common message shape all presets are built from
+function summarizePayload(payload) {
+  if (Array.isArray(payload)) {
+    return summarizeBatch(payload);
+  }
+
+  const summary = {
+    title: payload.title || payload.url || 'Webhook Manager',
+    url: payload.url || null,
+    text: payload.description || '',
+    imageUrl: null,
+    fields: [],
+    type: payload.type || 'page',
+    timestamp: payload.timestamp || new Date().toISOString()
+  };
+
+  if (payload.type === 'selection') {
+    summary.text = payload.selectedText ? `> ${truncateText(payload.selectedText, 1500).replace(/\n/g, '\n> ')}` : summary.text;
+  } else if (payload.type === 'link') {
+    summary.title = payload.linkText || payload.linkTitle || payload.url;
+    summary.text = payload.snippet ? truncateText(payload.snippet, 500) : '';
+    if (payload.heading) {
+      summary.fields.push({ name: 'Section', value: truncateText(payload.heading, 200) });
+    }
+  } else if (payload.type === 'links') {
+    const links = payload.links || [];
+    summary.title = `${links.length} link(s) from ${payload.title || payload.url}`;
+    summary.text = links.slice(0, 10).map(link => `• ${link.text || link.url} ${link.url}`).join('\n');
+    if (links.length > 10) {
+      summary.text += `\n…and ${links.length - 10} more`;
+    }
+  } else if (payload.type === 'image') {
+    summary.title = payload.altText || 'Image';
+    summary.text = '';
+    summary.imageUrl = payload.url;
+  } else if (payload.type === 'linkedin_mutual_connections') {
+    const connections = payload.mutualConnections || [];
+    summary.title = `LinkedIn mutual connections: ${payload.profileViewed?.name || 'profile'} (${payload.totalCount || connections.length})`;
+    summary.url = payload.profileViewed?.profileUrl || null;
+    summary.text = connections.slice(0, 10).map(connection => `• ${connection.name}${connection.headline ? ` (${connection.headline})` : ''}`).join('\n');
+    if (connections.length > 10) {
+      summary.text += `\n…and ${connections.length - 10} more`;
+    }
+  }
+
+  if (payload.keywords) {
+    summary.fields.push({ name: 'Keywords', value: truncateText(payload.keywords, 200) });
+  }
+  if (payload.note) {
+    summary.fields.push({ name: 'Note', value: truncateText(payload.note, 500) });
+  }
+  if (payload.tags?.length > 0) {
+    summary.fields.push({ name: 'Tags', value: payload.tags.join(', ') });
+  }
+  // Extraction profile fields; empty ones are left out
+  Object.entries(payload.fields || {}).forEach(([name, value]) => {
+    const text = Array.isArray(value) ? value.join(', ') : value;
+    if (text) {
+      summary.fields.push({ name, value: truncateText(String(text), 200) });
+    }
+  });
+  return summary;
+}
+
+// Platform limits; over-long messages are rejected with a 400, which no retry can fix
+const SLACK_MAX_BLOCKS = 50;
+const SLACK_MAX_SECTION_TEXT = 3000;
+const SLACK_MAX_URL = 2000;
+const DISCORD_MAX_FIELDS = 25;
+const DISCORD_MAX_EMBED_CHARS = 6000;
+
+// Keeps at most maxFields, using the last slot to say how many were left out
+function limitFields(fields, maxFields) {
+  if (fields.length <= maxFields) {
+    return fields;
+  }
+  const kept = fields.slice(0, maxFields - 1);
+  return [...kept, { name: 'More', value: `${fields.length - kept.length} more field(s) not shown` }];
+}
+
+function escapeSlackText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Escaping makes text longer, so shorten the source until the escaped form fits
+function truncateSlackText(text, maxLength) {
+  let truncated = truncateText(text, maxLength);
+  let escaped = escapeSlackText(truncated);
+  while (escaped.length > maxLength) {
+    truncated = truncateText(truncated, Math.max(1, Math.floor(truncated.length * maxLength / escaped.length)));
+    escaped = escapeSlackText(truncated);
+  }
+  return escaped;
+}
+
+// "|" would end the URL part of <url|text> early, so it is percent-encoded
+function escapeSlackUrl(url) {
+  return escapeSlackText(url).replace(/\|/g, '%7C');
+}
+
+function formatSlackMessage(summary) {
+  const title = truncateSlackText(summary.title, 200);
+  const url = summary.url ? escapeSlackUrl(summary.url) : null;
+  const heading = url && url.length <= SLACK_MAX_URL ? `*<${url}|${title}>*` : `*${title}*`;
+  // Slack's quote marker is a literal ">" so it is restored after escaping
+  const bodyLength = Math.min(2500, SLACK_MAX_SECTION_TEXT - heading.length - 1);
+  const body = truncateSlackText(summary.text, bodyLength).replace(/^&gt; /gm, '> ');
+  const blocks = [{
+    type: 'section',
+    text: { type: 'mrkdwn', text: body ? `${heading}\n${body}` : heading }
+  }];
+
+  if (summary.imageUrl && summary.imageUrl.length <= SLACK_MAX_URL) {
+    blocks.push({ type: 'image', image_url: summary.imageUrl, alt_text: truncateText(summary.title, 200) });
+  }
+
+  // One block is kept for the context footer
+  limitFields(summary.fields, SLACK_MAX_BLOCKS - blocks.length - 1).forEach(field => {
+    const text = `*${truncateSlackText(field.name, 100)}:* ${truncateSlackText(field.value, SLACK_MAX_SECTION_TEXT - 200)}`;
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text } });
+  });
+
+  blocks.push({
+    type: 'context',
+    elements: [{ type: 'mrkdwn', text: `Sent from Webhook Manager · ${summary.type}` }]
+  });
+
+  const fallbackText = url ? `${title} ${url}` : title;
+  return { text: fallbackText, blocks };
+}
+
+function formatDiscordMessage(summary) {
+  const embed = {
+    title: truncateText(summary.title, 256),
+    timestamp: summary.timestamp,
+    color: 0x0078d4,
+    footer: { text: `Webhook Manager · ${summary.type}` }
+  };
+
+  if (summary.url) embed.url = summary.url;
+  if (summary.text) embed.description = truncateText(summary.text, 4096);
+  if (summary.imageUrl) embed.image = { url: summary.imageUrl };
+
+  // Titles, descriptions, field names and values and the footer share a 6000 character budget
+  let remaining = DISCORD_MAX_EMBED_CHARS - embed.title.length - (embed.description || '').length - embed.footer.text.length;
+  const fields = [];
+  for (const field of limitFields(summary.fields, DISCORD_MAX_FIELDS)) {
+    const name = truncateText(field.name, 256);
+    const value = truncateText(field.value, 1024);
+    if (name.length + value.length > remaining) {
+      break;
+    }
+    fields.push({ name, value });
+    remaining -= name.length + value.length;
+  }
+  if (fields.length > 0) {
+    embed.fields = fields;
+  }
+
+  return { embeds: [embed] };
+}
+
+function formatTeamsMessage(summary) {
+  const card = {
+    '@type': 'MessageCard',
+    '@context': 'https://schema.org/extensions',
+    summary: truncateText(summary.title, 200),
+    themeColor: '0078D4',
+    title: summary.title,
+    text: summary.text.replace(/\n/g, '<br>')
+  };
+
+  const section = {};
+  if (summary.imageUrl) section.images = [{ image: summary.imageUrl }];
+  if (summary.fields.length > 0) section.facts = summary.fields.map(field => ({ name: field.name, value: field.value }));
+  if (Object.keys(section).length > 0) card.sections = [section];
+
+  if (summary.url) {
+    card.potentialAction = [{
+      '@type': 'OpenUri',
+      name: 'Open',
+      targets: [{ os: 'default', uri: summary.url }]
+    }];
+  }
+
+  return card;
+}
+
+// n8n and Zapier take arbitrary JSON, so the payload goes through unchanged
+function formatForDestination(destinationType, payload) {
+  if (destinationType === 'slack') return formatSlackMessage(summarizePayload(payload));
+  if (destinationType === 'discord') return formatDiscordMessage(summarizePayload(payload));
+  if (destinationType === 'teams') return formatTeamsMessage(summarizePayload(payload));
+  return payload;
+}
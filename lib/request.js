@@ -0,0 +1,312 @@
+// Builds the fetch request for a webhook delivery (needs lib/webhookConfig.js, lib/template.js and lib/destinations.js)
+// Shared by the service worker (real deliveries) and the popup (Test button)
+
+const WEBHOOK_METHODS = ['POST', 'PUT', 'PATCH'];
+
+const DEFAULT_SIGNING = {
+  algorithm: 'SHA-256',
+  signatureHeader: 'X-Webhook-Signature',
+  timestampHeader: 'X-Webhook-Timestamp'
+};
+
+// Header names are HTTP tokens
+function isValidHeaderName(name) {
+  return /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(name);
+}
+
+// fetch rejects values with line breaks, NUL or characters outside Latin-1
+function isValidHeaderValue(value) {
+  return /^[^\0\r\n\u0100-\uffff]*$/.test(value);
+}
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  // Chunked so large images don't overflow the argument limit of String.fromCharCode
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+// Reads a response body but gives up as soon as it grows past maxBytes, so a missing or
+// wrong Content-Length can't pull an unbounded download into memory. null when too large.
+async function readLimitedBody(response, maxBytes) {
+  if (!response.body) {
+    return new Uint8Array(0);
+  }
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    size += value.length;
+    if (size > maxBytes) {
+      await reader.cancel();
+      return null;
+    }
+    chunks.push(value);
+  }
+
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return bytes;
+}
+
+async function sha256Hex(text) {
+  return toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+}
+
+function getPayloadUrl(payload) {
+  return payload.url || payload.profileViewed?.profileUrl || '';
+}
+
+// Idempotency keys are derived from what was captured, not when, so re-sending the same
+// page, selection or LinkedIn result produces the same key. Anything that changes what the
+// receiver gets (review edits, a note or tags, extracted fields, a screenshot) changes it.
+const IDEMPOTENCY_IGNORED_KEYS = ['timestamp', 'idempotencyKey'];
+
+async function computeIdempotencyKey(payload) {
+  // Every top-level text field, which includes everything the review window can edit
+  const parts = Object.keys(payload).sort()
+    .filter(key => typeof payload[key] === 'string' && !IDEMPOTENCY_IGNORED_KEYS.includes(key))
+    .map(key => `${key}=${payload[key]}`);
+  parts.push(`profile=${payload.profileViewed?.profileUrl || ''}`);
+  if (payload.links) {
+    parts.push(`links=${payload.links.map(link => link.url).join(',')}`);
+  }
+  if (payload.mutualConnections) {
+    // Collected in scroll order, which can differ between runs
+    parts.push(`connections=${payload.mutualConnections.map(connection => connection.profileUrl).sort().join(',')}`);
+  }
+  if (payload.tags) {
+    parts.push(`tags=${payload.tags.join(',')}`);
+  }
+  if (payload.fields) {
+    parts.push(`fields=${JSON.stringify(payload.fields)}`);
+  }
+  if (payload.screenshot) {
+    parts.push(`screenshot=${payload.screenshot.data || payload.screenshot.error || ''}`);
+  }
+  return (await sha256Hex(JSON.stringify(parts))).slice(0, 32);
+}
+
+// Batches are identified by the keys of their items, so a retried batch keeps its key
+async function getIdempotencyKey(payload) {
+  if (!Array.isArray(payload)) {
+    return payload.idempotencyKey || null;
+  }
+  const itemKeys = payload.map(item => item.payload.idempotencyKey || item.id);
+  return (await sha256Hex(itemKeys.join(','))).slice(0, 32);
+}
+
+// HMAC over "<timestamp>.<body>", sent as "sha256=<hex digest>" (GitHub/Stripe style)
+async function signRequestBody(signing, timestamp, body) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(signing.secret),
+    { name: 'HMAC', hash: signing.algorithm },
+    false,
+    ['sign']
+  );
+  const prefix = encoder.encode(`${timestamp}.`);
+  const bodyBytes = typeof body === 'string' ? encoder.encode(body) : body;
+  const message = new Uint8Array(prefix.length + bodyBytes.length);
+  message.set(prefix);
+  message.set(bodyBytes, prefix.length);
+  const signature = await crypto.subtle.sign('HMAC', key, message);
+  return `${signing.algorithm.replace('-', '').toLowerCase()}=${toHex(signature)}`;
+}
+
+const BODY_ENCODINGS = {
+  json: 'JSON',
+  form: 'Form (x-www-form-urlencoded)',
+  multipart: 'Multipart form-data',
+  text: 'Plain text',
+  ndjson: 'NDJSON'
+};
+
+function renderBodyTemplate(template, data) {
+  const rendered = renderTemplate(template, data);
+  try {
+    return JSON.parse(rendered);
+  } catch (e) {
+    return rendered;
+  }
+}
+
+// A body template replaces the payload (or the destination preset built from it).
+// Template output that isn't JSON is kept as a string and sent verbatim.
+function buildBodyDocument(webhook, payload) {
+  if (!webhook.template || !webhook.template.trim()) {
+    return formatForDestination(getDestinationType(webhook), payload);
+  }
+
+  if (!Array.isArray(payload)) {
+    return renderBodyTemplate(webhook.template, payload);
+  }
+
+  // Batches render the template once per item, keeping the item's batch metadata available
+  const rendered = payload.map(item => renderBodyTemplate(webhook.template, { ...item.payload, batchItemId: item.id, queuedAt: item.queuedAt }));
+  return rendered.every(document => typeof document !== 'string') ? rendered : rendered.map(templateValueToString).join('\n');
+}
+
+// Flattens nested objects into [pathParts, value] pairs: { a: { b: [1] } } -> [[['a', 'b', '0'], 1]]
+function flattenFields(value, path = [], fields = []) {
+  if (value !== null && typeof value === 'object') {
+    Object.entries(value).forEach(([key, child]) => flattenFields(child, [...path, key], fields));
+  } else if (path.length > 0) {
+    fields.push([path, value === null || value === undefined ? '' : String(value)]);
+  }
+  return fields;
+}
+
+// "metadata[og][title]" style keys, as understood by PHP, Rails and most form parsers
+function toFormKey(path) {
+  return path[0] + path.slice(1).map(part => `[${part}]`).join('');
+}
+
+function escapeMultipartName(name) {
+  return name.replace(/"/g, '%22');
+}
+
+// files: [{ name, fileName, mimeType, bytes }]; with files the body is built as bytes
+function encodeMultipart(fields, files = []) {
+  const boundary = `----WebhookManager${crypto.randomUUID().replace(/-/g, '')}`;
+  const contentType = `multipart/form-data; boundary=${boundary}`;
+  const parts = fields.map(([name, value]) =>
+    `--${boundary}\r\nContent-Disposition: form-data; name="${escapeMultipartName(name)}"\r\n\r\n${value}\r\n`
+  );
+  if (files.length === 0) {
+    return { body: `${parts.join('')}--${boundary}--\r\n`, contentType };
+  }
+
+  const encoder = new TextEncoder();
+  const chunks = [encoder.encode(parts.join(''))];
+  files.forEach(file => {
+    chunks.push(encoder.encode(
+      `--${boundary}\r\nContent-Disposition: form-data; name="${escapeMultipartName(file.name)}"; filename="${escapeMultipartName(file.fileName)}"\r\n` +
+      `Content-Type: ${file.mimeType}\r\n\r\n`
+    ));
+    chunks.push(file.bytes);
+    chunks.push(encoder.encode('\r\n'));
+  });
+  chunks.push(encoder.encode(`--${boundary}--\r\n`));
+
+  const body = new Uint8Array(chunks.reduce((length, chunk) => length + chunk.length, 0));
+  let offset = 0;
+  chunks.forEach(chunk => {
+    body.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return { body, contentType };
+}
+
+function encodeBody(encoding, document, files = []) {
+  const isText = typeof document === 'string';
+
+  if (encoding === 'form') {
+    const body = isText ? document : new URLSearchParams(flattenFields(document).map(([path, value]) => [toFormKey(path), value])).toString();
+    return { body, contentType: 'application/x-www-form-urlencoded' };
+  }
+
+  if (encoding === 'multipart') {
+    const fields = isText ? [['payload', document]] : flattenFields(document).map(([path, value]) => [toFormKey(path), value]);
+    return encodeMultipart(fields, files);
+  }
+
+  if (encoding === 'text') {
+    const body = isText ? document : flattenFields(document).map(([path, value]) => `${path.join('.')}: ${value}`).join('\n');
+    return { body, contentType: 'text/plain; charset=utf-8' };
+  }
+
+  if (encoding === 'ndjson') {
+    const records = Array.isArray(document) ? document : [document];
+    const body = isText ? document : `${records.map(record => JSON.stringify(record)).join('\n')}\n`;
+    return { body, contentType: 'application/x-ndjson' };
+  }
+
+  if (isText) {
+    return { body: document, contentType: 'text/plain; charset=utf-8' };
+  }
+  return { body: JSON.stringify(document), contentType: 'application/json' };
+}
+
+// Binary payload fields (image, screenshot) go out as multipart file parts instead of
+// base64 when the webhook asks for files. Chat services can't take multipart bodies, so
+// for them the data stays base64 (their presets leave it out; a template can use it).
+function separateFiles(webhook, payload) {
+  if (Array.isArray(payload) || CHAT_DESTINATIONS.includes(getDestinationType(webhook))) {
+    return { document: payload, files: [] };
+  }
+
+  const attachModes = {
+    image: getImageOptions(webhook)?.attachAs,
+    screenshot: getScreenshotOptions(webhook).attachAs
+  };
+  const document = { ...payload };
+  const files = [];
+  Object.entries(attachModes).forEach(([field, attachAs]) => {
+    if (attachAs !== 'file' || !payload[field] || !payload[field].data) {
+      return;
+    }
+    const { data, ...details } = payload[field];
+    document[field] = details;
+    files.push({ name: field, fileName: details.fileName, mimeType: details.mimeType, bytes: base64ToBytes(data) });
+  });
+  return { document, files };
+}
+
+async function buildWebhookRequest(webhook, payload) {
+  const { document: bodyPayload, files } = separateFiles(webhook, payload);
+  const encoding = files.length > 0 ? 'multipart' : Object.hasOwn(BODY_ENCODINGS, webhook.encoding) ? webhook.encoding : 'json';
+  const { body, contentType } = encodeBody(encoding, buildBodyDocument(webhook, bodyPayload), files);
+  const headers = { 'Content-Type': contentType };
+  const idempotencyKey = await getIdempotencyKey(payload);
+  if (idempotencyKey) {
+    headers['Idempotency-Key'] = idempotencyKey;
+  }
+
+  // Custom headers win over the defaults, matched case-insensitively
+  (webhook.headers || []).forEach(header => {
+    // Caught here so the delivery fails as a configuration error instead of being retried
+    if (!isValidHeaderName(header.name) || !isValidHeaderValue(header.value)) {
+      throw new Error(`Header "${header.name}" can't be sent; values can't contain line breaks or characters outside Latin-1`);
+    }
+    Object.keys(headers).forEach(existing => {
+      if (existing.toLowerCase() === header.name.toLowerCase()) {
+        delete headers[existing];
+      }
+    });
+    headers[header.name] = header.value;
+  });
+
+  // Signed last, over the exact bytes that go on the wire
+  if (webhook.signing && webhook.signing.secret) {
+    const signing = { ...DEFAULT_SIGNING, ...webhook.signing };
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    headers[signing.timestampHeader] = timestamp;
+    headers[signing.signatureHeader] = await signRequestBody(signing, timestamp, body);
+  }
+
+  return {
+    method: WEBHOOK_METHODS.includes(webhook.method) ? webhook.method : 'POST',
+    headers,
+    body
+  };
+}
@@ -0,0 +1,49 @@
+// Body templates with {{placeholder | filter:arg}} substitution
+// Shared by the service worker (deliveries) and the popup (live preview)
+
+const TEMPLATE_FILTERS = {
+  default: (value, fallback = '') => (value === undefined || value === null || value === '' ? fallback : value),
+  truncate: (value, length = '100') => {
+    const text = templateValueToString(value);
+    const maxLength = parseInt(length);
+    return text.length > maxLength ? `${text.slice(0, Math.max(0, maxLength - 1))}…` : text;
+  },
+  // Escapes strings for use inside a JSON string literal; other values become JSON
+  json: value => (typeof value === 'string' ? JSON.stringify(value).slice(1, -1) : JSON.stringify(value ?? null)),
+  upper: value => templateValueToString(value).toUpperCase(),
+  lower: value => templateValueToString(value).toLowerCase(),
+  urlencode: value => encodeURIComponent(templateValueToString(value))
+};
+
+function templateValueToString(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// Resolves dotted paths such as "metadata.og.title" or "items.0.url"
+function resolveTemplatePath(data, path) {
+  return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), data);
+}
+
+// Splits on "|" outside of quotes: 'title | default:"a|b"' -> ['title', 'default:"a|b"']
+function splitTemplateExpression(expression) {
+  return (expression.match(/(?:[^|"']|"[^"]*"|'[^']*')+/g) || ['']).map(part => part.trim());
+}
+
+function applyTemplateFilter(value, filterExpression) {
+  const match = filterExpression.match(/^(\w+)(?::\s*(?:"([^"]*)"|'([^']*)'|(.*)))?$/);
+  if (!match || !TEMPLATE_FILTERS[match[1]]) {
+    throw new Error(`Unknown template filter "${filterExpression}"`);
+  }
+  const argument = match[2] ?? match[3] ?? (match[4] === undefined ? undefined : match[4].trim());
+  return TEMPLATE_FILTERS[match[1]](value, argument);
+}
+
+function renderTemplate(template, data) {
+  return template.replace(/\{\{([^}]+)\}\}/g, (placeholder, expression) => {
+    const [path, ...filters] = splitTemplateExpression(expression);
+    const value = filters.reduce(applyTemplateFilter, resolveTemplatePath(data, path));
+    return templateValueToString(value);
+  });
+}
@@ -0,0 +1,125 @@
+// URL pattern matching for routing rules, auto-capture rules and extraction profiles
+// Loaded by the service worker (importScripts) and by popup.html
+
+const RULE_MATCH_TYPES = {
+  glob: 'URL glob',
+  regex: 'URL regex',
+  domain: 'Domain'
+};
+
+const RULE_CONTEXTS = {
+  page: 'Page',
+  link: 'Link',
+  image: 'Image',
+  selection: 'Selection'
+};
+
+// Glob: `*` matches any run of characters and `?` a single one, as in Chrome match patterns.
+// A pattern without a scheme matches any scheme, so "github.com/*/issues/*" works as typed.
+function globToRegExp(glob) {
+  let source = '';
+  for (const char of glob) {
+    if (char === '*') {
+      source += '.*';
+    } else if (char === '?') {
+      source += '.';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  const scheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(glob) ? '' : '[a-z][a-z0-9+.-]*://';
+  return new RegExp(`^${scheme}${source}$`, 'i');
+}
+
+// Accepts "/pattern/flags" or a bare pattern; throws on invalid syntax
+function parseRegexPattern(pattern) {
+  const literal = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  return literal ? new RegExp(literal[1], literal[2]) : new RegExp(pattern);
+}
+
+// "example.com" matches example.com and any subdomain; "*.example.com" only subdomains
+function matchesDomain(pattern, hostname) {
+  const domain = pattern.trim().toLowerCase().replace(/^\*\./, '');
+  const host = hostname.toLowerCase();
+  if (pattern.trim().startsWith('*.')) {
+    return host.endsWith(`.${domain}`);
+  }
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+// Returns an error message for an unusable pattern, or null when it is valid
+function validateUrlPattern(matchType, pattern) {
+  if (!Object.hasOwn(RULE_MATCH_TYPES, matchType)) {
+    return `Unknown match type "${matchType}"`;
+  }
+  if (matchType === 'regex') {
+    try {
+      parseRegexPattern(pattern);
+    } catch (error) {
+      return error.message;
+    }
+  }
+  return null;
+}
+
+function matchesUrlPattern(matchType, pattern, url) {
+  try {
+    if (matchType === 'domain') {
+      return matchesDomain(pattern, new URL(url).hostname);
+    }
+    if (matchType === 'regex') {
+      return parseRegexPattern(pattern).test(url);
+    }
+    return globToRegExp(pattern.trim()).test(url);
+  } catch (error) {
+    // Unparseable URLs and broken patterns never match
+    return false;
+  }
+}
+
+function ruleMatches(rule, url, type) {
+  if (rule.enabled === false) {
+    return false;
+  }
+  if (rule.contexts && rule.contexts.length > 0 && !rule.contexts.includes(type)) {
+    return false;
+  }
+  // A rule without a pattern matches on context type alone
+  if (!rule.pattern) {
+    return true;
+  }
+  return matchesUrlPattern(rule.matchType || 'glob', rule.pattern, url);
+}
+
+// Walks the rules in order and collects their webhook URLs (deduplicated),
+// stopping after the first matching rule that has `stop` set
+function resolveRoutes(rules, url, type) {
+  const matchedRules = [];
+  const webhookUrls = [];
+  for (const rule of rules || []) {
+    if (!ruleMatches(rule, url, type)) {
+      continue;
+    }
+    matchedRules.push(rule);
+    rule.webhookUrls.forEach(webhookUrl => {
+      if (!webhookUrls.includes(webhookUrl)) {
+        webhookUrls.push(webhookUrl);
+      }
+    });
+    if (rule.stop) {
+      break;
+    }
+  }
+  return { matchedRules, webhookUrls };
+}
+
+// Extraction profiles that apply to a page, and their fields merged in profile order
+// (a later profile's field replaces an earlier one with the same name)
+function resolveExtractionProfiles(profiles, pageUrl) {
+  const matchedProfiles = (profiles || []).filter(profile => profile.fields?.length > 0 && ruleMatches(profile, pageUrl, 'page'));
+  const fields = new Map();
+  matchedProfiles.forEach(profile => {
+    profile.fields.forEach(field => fields.set(field.name, field));
+  });
+  return { matchedProfiles, fields: Array.from(fields.values()) };
+}
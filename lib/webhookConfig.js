@@ -0,0 +1,191 @@
+// Shared webhook configuration helpers
+// Loaded by the service worker (importScripts) and by popup.html
+
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 4, // Total attempts, including the first one
+  baseDelay: 1, // Seconds before the first retry, doubled on each attempt
+  maxDelay: 60, // Upper bound for the backoff, in seconds
+  jitter: true,
+  retryOn: ['408', '429', '5xx'] // Status codes (or classes like 5xx) worth retrying
+};
+
+function getRetryPolicy(webhook) {
+  return { ...DEFAULT_RETRY_POLICY, ...(webhook && webhook.retryPolicy) };
+}
+
+// Accepts "408, 429, 5xx" and returns ['408', '429', '5xx'], or null when malformed
+function parseStatusCodeList(value) {
+  const codes = value.split(',').map(code => code.trim().toLowerCase()).filter(Boolean);
+  return codes.every(code => /^[1-5](\d\d|xx)$/.test(code)) ? codes : null;
+}
+
+function statusMatchesList(status, codes) {
+  const statusText = String(status);
+  return codes.some(code => code.endsWith('xx') ? statusText[0] === code[0] : statusText === code);
+}
+
+// Network errors are always worth another attempt; HTTP errors only if the policy lists them
+function isRetryable(result, retryPolicy) {
+  if (result.permanent) return false;
+  if (!result.status) return true;
+  return statusMatchesList(result.status, retryPolicy.retryOn);
+}
+
+// A network error while the browser is offline says nothing about the webhook, so the
+// attempt is given back and the queue waits for the network instead of retrying
+function isOfflineFailure(result, offline) {
+  return offline && !result.ok && !result.status && !result.permanent;
+}
+
+// Exponential backoff with optional jitter, never shorter than the server's Retry-After
+function getRetryDelay(retryPolicy, attempt, retryAfterMs = 0) {
+  let backoffMs = Math.min(retryPolicy.baseDelay * 2 ** (attempt - 1), retryPolicy.maxDelay) * 1000;
+  if (retryPolicy.jitter) {
+    backoffMs = backoffMs / 2 + Math.random() * (backoffMs / 2);
+  }
+  return Math.max(backoffMs, retryAfterMs);
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(headerValue, now = Date.now()) {
+  if (!headerValue) return 0;
+  const seconds = Number(headerValue);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(headerValue);
+  return isNaN(date) ? 0 : Math.max(0, date - now);
+}
+
+// Token-bucket rate limit: up to `capacity` requests in a burst, refilled at
+// `refillTokens` per `refillSeconds`. null means unlimited.
+function getTokenBucket(webhook) {
+  if (!webhook) return null;
+  if (webhook.tokenBucket) return webhook.tokenBucket;
+
+  // Legacy "seconds between requests" value, until migrateWebhook has run
+  if (webhook.rateLimit > 0) {
+    return { capacity: 1, refillTokens: 1, refillSeconds: webhook.rateLimit };
+  }
+  return null;
+}
+
+// Rewrites fields from older versions; returns the same object when nothing changed
+function migrateWebhook(webhook) {
+  if (!('rateLimit' in webhook)) return webhook;
+
+  const { rateLimit, ...migrated } = webhook;
+  migrated.tokenBucket = getTokenBucket(webhook);
+  return migrated;
+}
+
+function describeTokenBucket(tokenBucket) {
+  const rate = `${tokenBucket.refillTokens}/${tokenBucket.refillSeconds}s`;
+  return tokenBucket.capacity > 1 ? `${rate}, burst ${tokenBucket.capacity}` : rate;
+}
+
+// Token bucket helpers. Tokens refill continuously at refillTokens per refillSeconds,
+// capped at capacity; each request (including retries) takes one token.
+function setTokenBucket(queueData, tokenBucket, now = Date.now()) {
+  if (!tokenBucket) {
+    queueData.tokenBucket = null;
+    return;
+  }
+
+  refillTokens(queueData, now);
+  // A new limit starts with a full bucket; a changed one keeps what is left
+  queueData.tokens = queueData.tokenBucket ? Math.min(queueData.tokens, tokenBucket.capacity) : tokenBucket.capacity;
+  queueData.tokenBucket = tokenBucket;
+}
+
+function refillTokens(queueData, now = Date.now()) {
+  const bucket = queueData.tokenBucket;
+  if (bucket) {
+    const tokensPerMs = bucket.refillTokens / (bucket.refillSeconds * 1000);
+    queueData.tokens = Math.min(bucket.capacity, queueData.tokens + Math.max(0, now - queueData.lastRefill) * tokensPerMs);
+  }
+  queueData.lastRefill = now;
+}
+
+function msUntilTokens(queueData, count) {
+  const bucket = queueData.tokenBucket;
+  const deficit = count - queueData.tokens;
+  if (!bucket || deficit <= 0) return 0;
+  return Math.ceil(deficit * bucket.refillSeconds * 1000 / bucket.refillTokens);
+}
+
+// Batching: items are collected and sent as one array payload; null when the webhook sends each item
+const DEFAULT_BATCH = {
+  maxItems: 10, // Flush as soon as the buffer holds this many items
+  windowSeconds: 300 // Flush this long after the first item arrived
+};
+
+function getBatchOptions(webhook) {
+  if (!webhook || !webhook.batch || !webhook.batch.enabled) return null;
+  return { ...DEFAULT_BATCH, ...webhook.batch };
+}
+
+// Main-content extraction for page sends; null when the webhook doesn't want it
+const ARTICLE_FORMATS = ['markdown', 'text'];
+const DEFAULT_ARTICLE = {
+  format: 'markdown',
+  maxLength: 20000 // Characters of content kept; the rest is cut and `truncated` set
+};
+
+function getArticleOptions(webhook) {
+  if (!webhook || !webhook.article || !webhook.article.enabled) return null;
+  const options = { ...DEFAULT_ARTICLE, ...webhook.article };
+  return ARTICLE_FORMATS.includes(options.format) ? options : { ...options, format: DEFAULT_ARTICLE.format };
+}
+
+// Image bytes for image sends, as a base64 JSON field or a multipart file part; null when off
+const IMAGE_ATTACH_MODES = ['base64', 'file'];
+const DEFAULT_IMAGE = {
+  attachAs: 'base64',
+  maxBytes: 2 * 1024 * 1024
+};
+// The bytes are copied into the persisted queue, dead letters and pending reviews
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+function getImageOptions(webhook) {
+  if (!webhook || !webhook.image || !webhook.image.enabled) return null;
+  const options = { ...DEFAULT_IMAGE, ...webhook.image };
+  return {
+    ...options,
+    attachAs: IMAGE_ATTACH_MODES.includes(options.attachAs) ? options.attachAs : DEFAULT_IMAGE.attachAs,
+    maxBytes: Math.min(options.maxBytes, MAX_IMAGE_BYTES)
+  };
+}
+
+// Screenshot sends ("Send page with screenshot") use these; every webhook has them
+const SCREENSHOT_FORMATS = ['png', 'jpeg'];
+const DEFAULT_SCREENSHOT = {
+  format: 'png',
+  quality: 90, // JPEG only, 0-100
+  cropToSelection: true,
+  attachAs: 'base64'
+};
+
+function getScreenshotOptions(webhook) {
+  const options = { ...DEFAULT_SCREENSHOT, ...(webhook && webhook.screenshot) };
+  return {
+    ...options,
+    format: SCREENSHOT_FORMATS.includes(options.format) ? options.format : DEFAULT_SCREENSHOT.format,
+    attachAs: IMAGE_ATTACH_MODES.includes(options.attachAs) ? options.attachAs : DEFAULT_SCREENSHOT.attachAs
+  };
+}
+
+// What the extractor must collect so that every target webhook gets what it asked for
+function getExtractionOptions(webhooks) {
+  const articleFormats = [];
+  let imageMaxBytes = 0; // 0 = don't fetch the image
+  webhooks.forEach(webhook => {
+    const article = getArticleOptions(webhook);
+    if (article && !articleFormats.includes(article.format)) {
+      articleFormats.push(article.format);
+    }
+    const image = getImageOptions(webhook);
+    if (image) {
+      imageMaxBytes = Math.max(imageMaxBytes, image.maxBytes);
+    }
+  });
+  return { articleFormats, imageMaxBytes };
+}
@@ -0,0 +1,127 @@
+// Quick-picker opened from the keyboard shortcut: search webhooks and groups, then send
+const pickerContext = JSON.parse(new URLSearchParams(location.search).get('context') || '{}');
+let pickerEntries = [];
+let visibleEntries = [];
+let activeIndex = 0;
+
+function describeContext(info) {
+  if (!info) {
+    return 'Current tab';
+  }
+  if (info.linkUrl) {
+    return `Link: ${info.linkUrl}`;
+  }
+  if (info.srcUrl) {
+    return `Image: ${info.srcUrl}`;
+  }
+  if (info.selectionText) {
+    return `Selection: "${info.selectionText}"`;
+  }
+  return `Page: ${info.pageUrl}`;
+}
+
+function renderEntries() {
+  const query = document.getElementById('pickerSearch').value.trim().toLowerCase();
+  const list = document.getElementById('pickerList');
+  list.innerHTML = '';
+
+  visibleEntries = pickerEntries.filter(entry =>
+    entry.label.toLowerCase().includes(query) || entry.detail.toLowerCase().includes(query)
+  );
+  activeIndex = Math.min(activeIndex, Math.max(visibleEntries.length - 1, 0));
+
+  if (visibleEntries.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'picker-empty';
+    empty.textContent = pickerEntries.length === 0 ? 'No webhooks configured' : 'No matches';
+    list.appendChild(empty);
+    return;
+  }
+
+  visibleEntries.forEach((entry, index) => {
+    const item = document.createElement('li');
+    item.className = 'picker-item';
+    item.setAttribute('role', 'option');
+    if (index === activeIndex) {
+      item.classList.add('active');
+      item.setAttribute('aria-selected', 'true');
+    }
+
+    const label = document.createElement('span');
+    label.textContent = entry.label;
+    const detail = document.createElement('small');
+    detail.textContent = entry.detail;
+
+    item.appendChild(label);
+    item.appendChild(detail);
+    item.onclick = function () {
+      sendTo(entry);
+    };
+    list.appendChild(item);
+  });
+
+  list.children[activeIndex]?.scrollIntoView({ block: 'nearest' });
+}
+
+function sendTo(entry) {
+  chrome.runtime.sendMessage({
+    action: 'sendFromPicker',
+    target: entry.target,
+    tabId: pickerContext.tabId,
+    info: pickerContext.info
+  }, function (response) {
+    if (chrome.runtime.lastError || !response?.success) {
+      const error = chrome.runtime.lastError?.message || response?.error || 'Unknown error';
+      const errorElement = document.getElementById('pickerError');
+      errorElement.textContent = `Could not send: ${error}`;
+      errorElement.classList.remove('hidden');
+      return;
+    }
+    window.close();
+  });
+}
+
+document.addEventListener('DOMContentLoaded', function () {
+  document.getElementById('pickerContext').textContent = describeContext(pickerContext.info);
+
+  chrome.storage.local.get({ webhooks: [], webhookGroups: [] }, function (data) {
+    pickerEntries = [
+      ...data.webhooks.map(webhook => ({
+        label: webhook.name,
+        detail: webhook.url,
+        target: { webhookUrl: webhook.url }
+      })),
+      ...data.webhookGroups.map((group, index) => ({
+        label: `👥 ${group.name}`,
+        detail: `${group.webhookUrls.length} webhook(s)`,
+        target: { groupIndex: index }
+      }))
+    ];
+    renderEntries();
+  });
+
+  const search = document.getElementById('pickerSearch');
+  search.addEventListener('input', function () {
+    activeIndex = 0;
+    renderEntries();
+  });
+  search.addEventListener('keydown', function (e) {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      activeIndex = Math.min(activeIndex + 1, visibleEntries.length - 1);
+      renderEntries();
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      activeIndex = Math.max(activeIndex - 1, 0);
+      renderEntries();
+    } else if (e.key === 'Enter' && visibleEntries[activeIndex]) {
+      e.preventDefault();
+      sendTo(visibleEntries[activeIndex]);
+    }
+  });
+  document.addEventListener('keydown', function (e) {
+    if (e.key === 'Escape') {
+      window.close();
+    }
+  });
+});
@@ -48,7 +48,7 @@ function switchTab(tabName) {
   document.getElementById(`${tabName}-tab`).classList.add('active');
 }
 
-function createWebhookCard(hook, index) {
+function createWebhookCard(hook, index, pendingBatch = 0) {
   const card = document.createElement('div');
   card.className = 'webhook-card';
   
@@ -71,13 +71,91 @@ function createWebhookCard(hook, index) {
   const meta = document.createElement('div');
   meta.className = 'webhook-meta';
   
-  if (hook.rateLimit && hook.rateLimit > 0) {
+  const tokenBucket = getTokenBucket(hook);
+  if (tokenBucket) {
     const rateBadge = document.createElement('span');
     rateBadge.className = 'badge badge-rate-limit';
-    rateBadge.textContent = `${hook.rateLimit}s limit`;
+    rateBadge.textContent = describeTokenBucket(tokenBucket);
     meta.appendChild(rateBadge);
   }
   
+  const destinationType = getDestinationType(hook);
+  if (destinationType !== 'generic') {
+    const destinationBadge = document.createElement('span');
+    destinationBadge.className = 'badge badge-rate-limit';
+    destinationBadge.textContent = DESTINATION_TYPES[destinationType];
+    meta.appendChild(destinationBadge);
+  }
+  
+  if (getBatchOptions(hook)) {
+    const batchBadge = document.createElement('span');
+    batchBadge.className = 'badge badge-rate-limit';
+    batchBadge.textContent = `Batch · ${pendingBatch} pending`;
+    meta.appendChild(batchBadge);
+  }
+  
+  if (hook.article && hook.article.enabled) {
+    const articleBadge = document.createElement('span');
+    articleBadge.className = 'badge badge-rate-limit';
+    articleBadge.textContent = hook.article.format === 'text' ? 'Article · text' : 'Article · md';
+    meta.appendChild(articleBadge);
+  }
+  
+  if (hook.image && hook.image.enabled) {
+    const imageBadge = document.createElement('span');
+    imageBadge.className = 'badge badge-rate-limit';
+    imageBadge.textContent = hook.image.attachAs === 'file' ? 'Image · file' : 'Image · base64';
+    meta.appendChild(imageBadge);
+  }
+  
+  if (hook.dedupeWindow > 0) {
+    const dedupeBadge = document.createElement('span');
+    dedupeBadge.className = 'badge badge-rate-limit';
+    dedupeBadge.textContent = `Dedupe ${hook.dedupeWindow}m`;
+    meta.appendChild(dedupeBadge);
+  }
+  if (hook.confirmBeforeSend) {
+    const reviewBadge = document.createElement('span');
+    reviewBadge.className = 'badge badge-rate-limit';
+    reviewBadge.textContent = 'Review';
+    meta.appendChild(reviewBadge);
+  }
+  
+  if (hook.method && hook.method !== 'POST') {
+    const methodBadge = document.createElement('span');
+    methodBadge.className = 'badge badge-rate-limit';
+    methodBadge.textContent = hook.method;
+    meta.appendChild(methodBadge);
+  }
+  
+  if (hook.template) {
+    const templateBadge = document.createElement('span');
+    templateBadge.className = 'badge badge-rate-limit';
+    templateBadge.textContent = 'Template';
+    meta.appendChild(templateBadge);
+  }
+  
+  if (hook.signing && hook.signing.secret) {
+    const signedBadge = document.createElement('span');
+    signedBadge.className = 'badge badge-rate-limit';
+    signedBadge.textContent = 'Signed';
+    meta.appendChild(signedBadge);
+  }
+  
+  if (hook.encoding && hook.encoding !== 'json') {
+    const encodingBadge = document.createElement('span');
+    encodingBadge.className = 'badge badge-rate-limit';
+    encodingBadge.textContent = hook.encoding;
+    meta.appendChild(encodingBadge);
+  }
+  
+  if (hook.headers && hook.headers.length > 0) {
+    const headersBadge = document.createElement('span');
+    headersBadge.className = 'badge badge-rate-limit';
+    headersBadge.textContent = `${hook.headers.length} header(s)`;
+    meta.appendChild(headersBadge);
+  }
+  
   // Actions
   const actions = document.createElement('div');
   actions.className = 'webhook-actions';
@@ -104,6 +182,17 @@ function createWebhookCard(hook, index) {
   };
   
   actions.appendChild(testButton);
+  
+  if (pendingBatch > 0) {
+    const flushButton = document.createElement('button');
+    flushButton.className = 'btn btn-sm btn-secondary';
+    flushButton.innerHTML = '<i class="fa fa-box-open"></i> Flush';
+    flushButton.onclick = function () {
+      flushBatch(hook);
+    };
+    actions.appendChild(flushButton);
+  }
+  
   actions.appendChild(editButton);
   actions.appendChild(deleteButton);
   
@@ -118,7 +207,7 @@ function createWebhookCard(hook, index) {
 }
 
 function loadWebhooks() {
-  chrome.storage.local.get('webhooks', function (data) {
+  chrome.storage.local.get({ webhooks: [], batchBuffers: {} }, function (data) {
     if (chrome.runtime.lastError) {
       console.error('Failed to load webhooks:', chrome.runtime.lastError);
       showError('Error loading webhooks. Please try again.');
@@ -132,12 +221,17 @@ function loadWebhooks() {
     if (data.webhooks && data.webhooks.length > 0) {
       emptyState.classList.add('hidden');
       data.webhooks.forEach(function (hook, index) {
-        const card = createWebhookCard(hook, index);
+        const pendingBatch = data.batchBuffers[hook.url]?.items.length || 0;
+        const card = createWebhookCard(hook, index, pendingBatch);
         list.appendChild(card);
       });
     } else {
       emptyState.classList.remove('hidden');
     }
+    loadGroups();
+    loadRules();
+    loadAutoCaptureRules();
+    populateDefaultWebhookSelect();
     
     // Update LinkedIn webhook checkboxes if visible
     const webhookSelectionGroup = document.getElementById('webhook-selection-group');
@@ -187,7 +281,22 @@ function editWebhook(index) {
     // Fill form
     document.getElementById('url').value = webhook.url;
     document.getElementById('name').value = webhook.name;
-    document.getElementById('rateLimit').value = webhook.rateLimit || '';
+    fillTokenBucketFields(getTokenBucket(webhook));
+    document.getElementById('destination').value = webhook.destination || 'auto';
+    updateDestinationHint();
+    document.getElementById('method').value = webhook.method || 'POST';
+    document.getElementById('encoding').value = webhook.encoding || 'json';
+    fillHeaderRows(webhook.headers || []);
+    fillSigningFields(webhook.signing);
+    document.getElementById('template').value = webhook.template || '';
+    updateTemplatePreview();
+    fillRetryPolicyFields(getRetryPolicy(webhook));
+    fillBatchFields(webhook.batch);
+    fillArticleFields(webhook.article);
+    fillImageFields(webhook.image);
+    fillScreenshotFields(webhook.screenshot);
+    document.getElementById('dedupeWindow').value = webhook.dedupeWindow || '';
+    document.getElementById('confirmBeforeSend').checked = !!webhook.confirmBeforeSend;
     
     // Update form UI for editing
     document.getElementById('form-title').innerHTML = '<i class="fa fa-edit"></i> Edit Webhook';
@@ -201,6 +310,19 @@ function editWebhook(index) {
   });
 }
 
+function flushBatch(webhook) {
+  chrome.runtime.sendMessage({ action: 'flushBatch', webhookUrl: webhook.url }, function (response) {
+    if (chrome.runtime.lastError || !response?.success) {
+      const error = chrome.runtime.lastError?.message || response?.error || 'Unknown error';
+      showError(`Error flushing batch: ${error}`);
+      return;
+    }
+
+    showSuccess(`Flushed ${response.count} item(s) to "${webhook.name}".`);
+    loadWebhooks();
+  });
+}
+
 function deleteWebhook(index) {
   chrome.storage.local.get('webhooks', function (data) {
     if (chrome.runtime.lastError) {
@@ -218,6 +340,7 @@ function deleteWebhook(index) {
         showError('Error deleting webhook. Please try again.');
         return;
       }
+      updateWebhookReferences(deletedWebhook.url, null);
       console.log('Webhook deleted!');
       showSuccess(`Webhook "${deletedWebhook.name}" deleted successfully!`);
       loadWebhooks(); // Refresh list after deleting
@@ -252,13 +375,7 @@ function testWebhook(index, buttonElement) {
       type: 'test'
     };
 
-    fetch(webhook.url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(testPayload)
-    }).then(response => {
+    buildWebhookRequest(webhook, testPayload).then(request => fetch(webhook.url, request)).then(response => {
       const endTime = Date.now();
       const responseTime = endTime - startTime;
 
@@ -295,10 +412,371 @@ function testWebhook(index, buttonElement) {
   });
 }
 
+// Custom header editor
+function addHeaderRow(header = { name: '', value: '' }) {
+  const row = document.createElement('div');
+  row.className = 'header-row';
+
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.className = 'form-input header-name';
+  nameInput.placeholder = 'Header';
+  nameInput.setAttribute('aria-label', 'Header name');
+  nameInput.value = header.name;
+
+  const valueInput = document.createElement('input');
+  valueInput.type = 'text';
+  valueInput.className = 'form-input header-value';
+  valueInput.placeholder = 'Value';
+  valueInput.setAttribute('aria-label', 'Header value');
+  valueInput.value = header.value;
+
+  const removeButton = document.createElement('button');
+  removeButton.type = 'button';
+  removeButton.className = 'btn btn-sm btn-secondary';
+  removeButton.title = 'Remove header';
+  removeButton.innerHTML = '<i class="fa fa-times"></i>';
+  removeButton.onclick = function () {
+    row.remove();
+  };
+
+  row.appendChild(nameInput);
+  row.appendChild(valueInput);
+  row.appendChild(removeButton);
+  document.getElementById('headerRows').appendChild(row);
+}
+
+function fillHeaderRows(headers) {
+  document.getElementById('headerRows').innerHTML = '';
+  headers.forEach(header => addHeaderRow(header));
+}
+
+// Returns the headers from the editor, or null after showing a validation error
+function readHeaderRows() {
+  const headers = [];
+  for (const row of document.querySelectorAll('#headerRows .header-row')) {
+    const name = row.querySelector('.header-name').value.trim();
+    const value = row.querySelector('.header-value').value.trim();
+    if (!name && !value) continue;
+
+    if (!isValidHeaderName(name)) {
+      showError(`"${name}" is not a valid header name.`);
+      return null;
+    }
+    if (!isValidHeaderValue(value)) {
+      showError(`The value of "${name}" contains line breaks or characters that can't be sent in a header (only Latin-1 is allowed).`);
+      return null;
+    }
+    headers.push({ name, value });
+  }
+  return headers;
+}
+
+// Destination presets
+function updateDestinationHint() {
+  updateTemplatePreview();
+  const hint = document.getElementById('destination-hint');
+  const destination = document.getElementById('destination').value;
+  const url = document.getElementById('url').value.trim();
+
+  if (destination === 'auto') {
+    hint.textContent = url ? `Detected: ${DESTINATION_TYPES[detectDestinationType(url)]}` : 'Slack, Discord, Teams, n8n and Zapier URLs are recognised automatically.';
+  } else if (['slack', 'discord', 'teams'].includes(destination)) {
+    hint.textContent = `Payloads are formatted as ${DESTINATION_TYPES[destination]} messages unless a template is set.`;
+  } else {
+    hint.textContent = 'The standard JSON payload is sent unchanged.';
+  }
+}
+
+// Payload template with live preview
+const SAMPLE_PAYLOAD = {
+  url: 'https://example.com/article',
+  timestamp: '2024-06-28T15:30:45.123Z',
+  type: 'selection',
+  title: 'Article Title',
+  description: 'Article description from meta tag',
+  keywords: 'technology, programming, tutorial',
+  favicon: 'https://example.com/favicon.ico',
+  metadata: {
+    canonicalUrl: 'https://example.com/article',
+    lang: 'en',
+    siteName: 'Example',
+    author: 'Jane Doe',
+    publishedTime: '2024-06-27T09:00:00Z',
+    modifiedTime: null,
+    wordCount: 1250,
+    openGraph: { title: 'Article Title', image: 'https://example.com/cover.png', type: 'article' },
+    twitter: { card: 'summary_large_image' },
+    jsonLd: []
+  },
+  selectedText: 'This is the selected text from the page'
+};
+
+function updateTemplatePreview() {
+  const template = document.getElementById('template').value;
+  const preview = document.getElementById('templatePreview');
+
+  if (!template.trim()) {
+    const webhook = { url: document.getElementById('url').value.trim(), destination: document.getElementById('destination').value };
+    preview.classList.remove('invalid');
+    preview.textContent = JSON.stringify(formatForDestination(getDestinationType(webhook), SAMPLE_PAYLOAD), null, 2);
+    return;
+  }
+
+  try {
+    const rendered = renderTemplate(template, SAMPLE_PAYLOAD);
+    preview.classList.remove('invalid');
+    try {
+      preview.textContent = JSON.stringify(JSON.parse(rendered), null, 2);
+    } catch (e) {
+      preview.textContent = `${rendered}\n\n(not JSON, sent verbatim)`;
+    }
+  } catch (e) {
+    preview.classList.add('invalid');
+    preview.textContent = e.message;
+  }
+}
+
+// Request signing
+function fillSigningFields(signing) {
+  const values = { ...DEFAULT_SIGNING, secret: '', ...signing };
+  document.getElementById('signingSecret').value = values.secret;
+  document.getElementById('signingAlgorithm').value = values.algorithm;
+  document.getElementById('signatureHeader').value = values.signatureHeader;
+  document.getElementById('timestampHeader').value = values.timestampHeader;
+}
+
+// Returns the signing settings (null when no secret is set), or false after a validation error
+function readSigningFields() {
+  const secret = document.getElementById('signingSecret').value.trim();
+  if (!secret) {
+    return null;
+  }
+
+  const signatureHeader = document.getElementById('signatureHeader').value.trim();
+  const timestampHeader = document.getElementById('timestampHeader').value.trim();
+  if (!isValidHeaderName(signatureHeader) || !isValidHeaderName(timestampHeader)) {
+    showError('Signature and timestamp header names must be valid HTTP header names.');
+    return false;
+  }
+
+  return {
+    secret,
+    algorithm: document.getElementById('signingAlgorithm').value,
+    signatureHeader,
+    timestampHeader
+  };
+}
+
+function generateSigningSecret() {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  document.getElementById('signingSecret').value = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function fillRetryPolicyFields(retryPolicy) {
+  document.getElementById('retryMaxAttempts').value = retryPolicy.maxAttempts;
+  document.getElementById('retryBaseDelay').value = retryPolicy.baseDelay;
+  document.getElementById('retryMaxDelay').value = retryPolicy.maxDelay;
+  document.getElementById('retryJitter').checked = retryPolicy.jitter;
+  document.getElementById('retryOn').value = retryPolicy.retryOn.join(', ');
+}
+
+// Returns the retry policy from the form, or null after showing a validation error
+function readRetryPolicyFields() {
+  const maxAttempts = parseInt(document.getElementById('retryMaxAttempts').value);
+  const baseDelay = parseFloat(document.getElementById('retryBaseDelay').value);
+  const maxDelay = parseFloat(document.getElementById('retryMaxDelay').value);
+  const retryOn = parseStatusCodeList(document.getElementById('retryOn').value);
+
+  if (isNaN(maxAttempts) || maxAttempts < 1 || maxAttempts > 20) {
+    showError('Max attempts must be between 1 and 20.');
+    return null;
+  }
+
+  if (isNaN(baseDelay) || baseDelay < 0 || isNaN(maxDelay) || maxDelay < baseDelay) {
+    showError('Backoff cap must be greater than or equal to the backoff base.');
+    return null;
+  }
+
+  if (!retryOn) {
+    showError('Retry status codes must look like "408, 429, 5xx".');
+    return null;
+  }
+
+  return {
+    maxAttempts,
+    baseDelay,
+    maxDelay,
+    jitter: document.getElementById('retryJitter').checked,
+    retryOn
+  };
+}
+
+// Token-bucket rate limit
+function fillTokenBucketFields(tokenBucket) {
+  document.getElementById('rateLimitRequests').value = tokenBucket ? tokenBucket.refillTokens : '';
+  document.getElementById('rateLimitWindow').value = tokenBucket ? tokenBucket.refillSeconds : 60;
+  document.getElementById('rateLimitBurst').value = tokenBucket ? tokenBucket.capacity : '';
+}
+
+// Returns the token bucket (null when unlimited), or false after a validation error
+function readTokenBucketFields() {
+  const requests = document.getElementById('rateLimitRequests').value.trim();
+  if (!requests || parseInt(requests) === 0) {
+    return null;
+  }
+
+  const refillTokens = parseInt(requests);
+  const refillSeconds = parseInt(document.getElementById('rateLimitWindow').value);
+  const burst = document.getElementById('rateLimitBurst').value.trim();
+  const capacity = burst ? parseInt(burst) : 1;
+
+  if (isNaN(refillTokens) || refillTokens < 0 || isNaN(refillSeconds) || refillSeconds < 1) {
+    showError('Rate limit must be a positive number of requests per window (seconds).');
+    return false;
+  }
+
+  if (isNaN(capacity) || capacity < 1) {
+    showError('Burst must be at least 1 request.');
+    return false;
+  }
+
+  return { capacity, refillTokens, refillSeconds };
+}
+
+// Batching
+function fillBatchFields(batch) {
+  const values = { enabled: false, ...DEFAULT_BATCH, ...batch };
+  document.getElementById('batchEnabled').checked = values.enabled;
+  document.getElementById('batchMaxItems').value = values.maxItems;
+  document.getElementById('batchWindow').value = values.windowSeconds;
+}
+
+// Article content
+function fillArticleFields(article) {
+  const values = { enabled: false, ...DEFAULT_ARTICLE, ...article };
+  document.getElementById('articleEnabled').checked = values.enabled;
+  document.getElementById('articleFormat').value = values.format;
+  document.getElementById('articleMaxLength').value = values.maxLength;
+}
+
+// Returns the article settings (null when disabled), or false after a validation error
+function readArticleFields() {
+  if (!document.getElementById('articleEnabled').checked) {
+    return null;
+  }
+
+  const format = document.getElementById('articleFormat').value;
+  if (!ARTICLE_FORMATS.includes(format)) {
+    showError(`Article format must be one of: ${ARTICLE_FORMATS.join(', ')}.`);
+    return false;
+  }
+  const maxLength = parseInt(document.getElementById('articleMaxLength').value);
+  if (isNaN(maxLength) || maxLength < 500) {
+    showError('Article size cap must be at least 500 characters.');
+    return false;
+  }
+
+  return { enabled: true, format, maxLength };
+}
+
+function fillImageFields(image) {
+  const values = { enabled: false, ...DEFAULT_IMAGE, ...image };
+  document.getElementById('imageEnabled').checked = values.enabled;
+  document.getElementById('imageAttachAs').value = values.attachAs;
+  document.getElementById('imageMaxSize').value = Math.round(values.maxBytes / 1024);
+}
+
+// Returns the image settings (null when disabled), or false after a validation error
+function readImageFields() {
+  if (!document.getElementById('imageEnabled').checked) {
+    return null;
+  }
+
+  const attachAs = document.getElementById('imageAttachAs').value;
+  if (!IMAGE_ATTACH_MODES.includes(attachAs)) {
+    showError(`Images must be attached as one of: ${IMAGE_ATTACH_MODES.join(', ')}.`);
+    return false;
+  }
+  const maxKilobytes = parseInt(document.getElementById('imageMaxSize').value);
+  if (isNaN(maxKilobytes) || maxKilobytes < 1 || maxKilobytes * 1024 > MAX_IMAGE_BYTES) {
+    showError(`Image size limit must be between 1 and ${MAX_IMAGE_BYTES / 1024} KB.`);
+    return false;
+  }
+
+  return { enabled: true, attachAs, maxBytes: maxKilobytes * 1024 };
+}
+
+function fillScreenshotFields(screenshot) {
+  const values = { ...DEFAULT_SCREENSHOT, ...screenshot };
+  document.getElementById('screenshotFormat').value = values.format;
+  document.getElementById('screenshotQuality').value = values.quality;
+  document.getElementById('screenshotAttachAs').value = values.attachAs;
+  document.getElementById('screenshotCrop').checked = values.cropToSelection;
+}
+
+// Returns the screenshot settings, or false after a validation error
+function readScreenshotFields() {
+  const format = document.getElementById('screenshotFormat').value;
+  const attachAs = document.getElementById('screenshotAttachAs').value;
+  if (!SCREENSHOT_FORMATS.includes(format) || !IMAGE_ATTACH_MODES.includes(attachAs)) {
+    showError(`Screenshots must be ${SCREENSHOT_FORMATS.join(' or ')}, attached as ${IMAGE_ATTACH_MODES.join(' or ')}.`);
+    return false;
+  }
+  const quality = parseInt(document.getElementById('screenshotQuality').value);
+  if (isNaN(quality) || quality < 1 || quality > 100) {
+    showError('Screenshot quality must be between 1 and 100.');
+    return false;
+  }
+
+  return {
+    format,
+    quality,
+    attachAs,
+    cropToSelection: document.getElementById('screenshotCrop').checked
+  };
+}
+
+// Returns the batch settings (null when disabled), or false after a validation error
+function readBatchFields() {
+  if (!document.getElementById('batchEnabled').checked) {
+    return null;
+  }
+
+  const maxItems = parseInt(document.getElementById('batchMaxItems').value);
+  const windowSeconds = parseInt(document.getElementById('batchWindow').value);
+  if (isNaN(maxItems) || maxItems < 2 || maxItems > 1000) {
+    showError('Batch size must be between 2 and 1000 items.');
+    return false;
+  }
+
+  if (isNaN(windowSeconds) || windowSeconds < 30) {
+    showError('Batch window must be at least 30 seconds.');
+    return false;
+  }
+
+  return { enabled: true, maxItems, windowSeconds };
+}
+
 function clearForm() {
   document.getElementById('url').value = '';
   document.getElementById('name').value = '';
-  document.getElementById('rateLimit').value = '';
+  fillTokenBucketFields(null);
+  document.getElementById('destination').value = 'auto';
+  updateDestinationHint();
+  document.getElementById('method').value = 'POST';
+  document.getElementById('encoding').value = 'json';
+  fillHeaderRows([]);
+  fillSigningFields(null);
+  document.getElementById('template').value = '';
+  updateTemplatePreview();
+  fillRetryPolicyFields(DEFAULT_RETRY_POLICY);
+  fillBatchFields(null);
+  fillArticleFields(null);
+  fillImageFields(null);
+  fillScreenshotFields(null);
+  document.getElementById('dedupeWindow').value = '';
+  document.getElementById('confirmBeforeSend').checked = false;
   
   // Reset form UI
   document.getElementById('form-title').innerHTML = '<i class="fa fa-plus"></i> Add New Webhook';
@@ -306,6 +784,288 @@ function clearForm() {
   delete document.getElementById('webhookForm').dataset.index;
 }
 
+// Failures without an HTTP status are network errors, unless the request could not be
+// built or its webhook is gone (`permanent`), in which case nothing was sent at all
+function describeDeliveryStatus(entry) {
+  if (entry.status) return `HTTP ${entry.status}`;
+  return entry.permanent ? 'Configuration error' : 'Network error';
+}
+
+// Delivery history
+function matchesHistoryStatus(entry, statusFilter) {
+  if (!statusFilter) return true;
+  if (statusFilter === 'success') return entry.ok;
+  if (statusFilter === 'network') return !entry.status && !entry.permanent;
+  if (statusFilter === 'config') return !entry.status && !!entry.permanent;
+  return entry.status !== null && statusMatchesList(entry.status, [statusFilter]);
+}
+
+function createHistoryEntry(entry) {
+  const row = document.createElement('div');
+  row.className = 'history-entry';
+
+  const header = document.createElement('div');
+  header.className = 'history-entry-header';
+
+  const name = document.createElement('strong');
+  name.textContent = entry.webhookName;
+
+  const statusBadge = document.createElement('span');
+  statusBadge.className = `badge ${entry.ok ? 'badge-success' : 'badge-error'}`;
+  statusBadge.textContent = describeDeliveryStatus(entry);
+
+  header.appendChild(name);
+  header.appendChild(statusBadge);
+
+  const meta = document.createElement('div');
+  meta.className = 'history-entry-meta';
+  meta.textContent = `${entry.payloadType} · attempt ${entry.attempt} · ${entry.latency}ms · ${new Date(entry.timestamp).toLocaleString()}`;
+
+  row.appendChild(header);
+  row.appendChild(meta);
+
+  if (entry.url) {
+    const url = document.createElement('div');
+    url.className = 'webhook-url';
+    url.textContent = entry.url;
+    row.appendChild(url);
+  }
+
+  // Response body (or error) is shown on click
+  const response = document.createElement('pre');
+  response.className = 'history-response hidden';
+  response.textContent = entry.error || entry.responseBody || '(empty response)';
+  row.appendChild(response);
+  row.onclick = function () {
+    response.classList.toggle('hidden');
+  };
+
+  return row;
+}
+
+function loadHistory() {
+  chrome.storage.local.get({ deliveryHistory: [], webhooks: [] }, function (data) {
+    if (chrome.runtime.lastError) {
+      console.error('Failed to load history:', chrome.runtime.lastError);
+      showError('Error loading history. Please try again.');
+      return;
+    }
+
+    // Rebuild the webhook filter, keeping the current choice
+    const webhookFilter = document.getElementById('historyWebhookFilter');
+    const selectedWebhook = webhookFilter.value;
+    webhookFilter.innerHTML = '<option value="">All webhooks</option>';
+    const knownWebhooks = new Map(data.webhooks.map(webhook => [webhook.url, webhook.name]));
+    data.deliveryHistory.forEach(entry => {
+      if (!knownWebhooks.has(entry.webhookUrl)) {
+        knownWebhooks.set(entry.webhookUrl, entry.webhookName);
+      }
+    });
+    knownWebhooks.forEach((webhookName, webhookUrl) => {
+      const option = document.createElement('option');
+      option.value = webhookUrl;
+      option.textContent = webhookName;
+      webhookFilter.appendChild(option);
+    });
+    webhookFilter.value = knownWebhooks.has(selectedWebhook) ? selectedWebhook : '';
+
+    const statusFilter = document.getElementById('historyStatusFilter').value;
+    const entries = data.deliveryHistory.filter(entry =>
+      (!webhookFilter.value || entry.webhookUrl === webhookFilter.value) && matchesHistoryStatus(entry, statusFilter)
+    );
+
+    const list = document.getElementById('historyList');
+    const emptyState = document.getElementById('history-empty-state');
+    list.innerHTML = '';
+
+    if (entries.length > 0) {
+      emptyState.classList.add('hidden');
+      entries.forEach(entry => list.appendChild(createHistoryEntry(entry)));
+    } else {
+      emptyState.classList.remove('hidden');
+    }
+  });
+}
+
+// Failed deliveries (dead letters)
+function describePayload(payload) {
+  if (Array.isArray(payload)) {
+    return `${payload.length} item(s)`;
+  }
+  return [payload.type, payload.url].filter(Boolean).join(' · ') || 'Payload';
+}
+
+function createDeadLetterCard(entry, webhooks) {
+  const card = document.createElement('div');
+  card.className = 'webhook-card';
+
+  const title = document.createElement('h4');
+  title.className = 'webhook-title';
+  title.textContent = entry.webhookName;
+
+  const summary = document.createElement('div');
+  summary.className = 'webhook-url';
+  summary.textContent = describePayload(entry.payload);
+
+  const meta = document.createElement('div');
+  meta.className = 'webhook-meta';
+
+  const errorBadge = document.createElement('span');
+  errorBadge.className = 'badge badge-error';
+  errorBadge.textContent = describeDeliveryStatus(entry);
+  errorBadge.title = entry.error;
+  meta.appendChild(errorBadge);
+
+  const attemptsBadge = document.createElement('span');
+  attemptsBadge.className = 'badge badge-rate-limit';
+  attemptsBadge.textContent = `${entry.attempts} attempt(s)`;
+  meta.appendChild(attemptsBadge);
+
+  const failedAt = document.createElement('div');
+  failedAt.className = 'webhook-url';
+  failedAt.textContent = `Failed ${new Date(entry.failedAt).toLocaleString()}: ${entry.error}`;
+
+  // Inspect/edit panel, hidden until requested
+  const details = document.createElement('div');
+  details.className = 'dead-letter-details hidden';
+
+  const payloadGroup = document.createElement('div');
+  payloadGroup.className = 'form-group';
+  const payloadLabel = document.createElement('label');
+  payloadLabel.htmlFor = `dead-letter-payload-${entry.id}`;
+  payloadLabel.textContent = 'Payload (JSON)';
+  const payloadInput = document.createElement('textarea');
+  payloadInput.id = `dead-letter-payload-${entry.id}`;
+  payloadInput.className = 'form-input code-input';
+  payloadInput.value = JSON.stringify(entry.payload, null, 2);
+  payloadGroup.appendChild(payloadLabel);
+  payloadGroup.appendChild(payloadInput);
+
+  const targetGroup = document.createElement('div');
+  targetGroup.className = 'form-group';
+  const targetLabel = document.createElement('label');
+  targetLabel.htmlFor = `dead-letter-target-${entry.id}`;
+  targetLabel.textContent = 'Replay to';
+  const targetSelect = document.createElement('select');
+  targetSelect.id = `dead-letter-target-${entry.id}`;
+  targetSelect.className = 'form-input';
+  webhooks.forEach(webhook => {
+    const option = document.createElement('option');
+    option.value = webhook.url;
+    option.textContent = webhook.name;
+    option.selected = webhook.url === entry.webhookUrl;
+    targetSelect.appendChild(option);
+  });
+  targetGroup.appendChild(targetLabel);
+  targetGroup.appendChild(targetSelect);
+
+  const replayButton = document.createElement('button');
+  replayButton.type = 'button';
+  replayButton.className = 'btn btn-sm btn-primary';
+  replayButton.innerHTML = '<i class="fa fa-paper-plane"></i> Replay';
+  replayButton.onclick = function () {
+    replayDeadLetter(entry, payloadInput.value, targetSelect.value);
+  };
+
+  details.appendChild(payloadGroup);
+  details.appendChild(targetGroup);
+  details.appendChild(replayButton);
+
+  // Actions
+  const actions = document.createElement('div');
+  actions.className = 'webhook-actions';
+
+  const inspectButton = document.createElement('button');
+  inspectButton.type = 'button';
+  inspectButton.className = 'btn btn-sm btn-secondary';
+  inspectButton.innerHTML = '<i class="fa fa-search"></i> Inspect';
+  inspectButton.onclick = function () {
+    details.classList.toggle('hidden');
+  };
+
+  const discardButton = document.createElement('button');
+  discardButton.type = 'button';
+  discardButton.className = 'btn btn-sm btn-danger';
+  discardButton.innerHTML = '<i class="fa fa-trash"></i> Discard';
+  discardButton.onclick = function () {
+    discardDeadLetter(entry);
+  };
+
+  actions.appendChild(inspectButton);
+  actions.appendChild(discardButton);
+
+  card.appendChild(title);
+  card.appendChild(summary);
+  card.appendChild(meta);
+  card.appendChild(failedAt);
+  card.appendChild(actions);
+  card.appendChild(details);
+
+  return card;
+}
+
+function loadDeadLetters() {
+  chrome.storage.local.get({ deadLetters: [], webhooks: [] }, function (data) {
+    if (chrome.runtime.lastError) {
+      console.error('Failed to load failed deliveries:', chrome.runtime.lastError);
+      showError('Error loading failed deliveries. Please try again.');
+      return;
+    }
+
+    const list = document.getElementById('deadLetterList');
+    const emptyState = document.getElementById('dead-letter-empty-state');
+    list.innerHTML = '';
+    document.getElementById('failed-count').textContent = data.deadLetters.length > 0 ? `(${data.deadLetters.length})` : '';
+
+    if (data.deadLetters.length > 0) {
+      emptyState.classList.add('hidden');
+      data.deadLetters.forEach(function (entry) {
+        list.appendChild(createDeadLetterCard(entry, data.webhooks));
+      });
+    } else {
+      emptyState.classList.remove('hidden');
+    }
+  });
+}
+
+function replayDeadLetter(entry, payloadText, webhookUrl) {
+  let payload;
+  try {
+    payload = JSON.parse(payloadText);
+  } catch (e) {
+    showError(`Payload is not valid JSON: ${e.message}`);
+    return;
+  }
+
+  if (!webhookUrl) {
+    showError('Please choose a webhook to replay to.');
+    return;
+  }
+
+  chrome.runtime.sendMessage({ action: 'replayDeadLetter', id: entry.id, webhookUrl, payload }, function (response) {
+    if (chrome.runtime.lastError || !response?.success) {
+      const error = chrome.runtime.lastError?.message || response?.error || 'Unknown error';
+      showError(`Error replaying delivery: ${error}`);
+      return;
+    }
+
+    showSuccess('Delivery queued for replay.');
+    loadDeadLetters();
+  });
+}
+
+function discardDeadLetter(entry) {
+  chrome.runtime.sendMessage({ action: 'discardDeadLetter', id: entry.id }, function () {
+    if (chrome.runtime.lastError) {
+      showError(`Error discarding delivery: ${chrome.runtime.lastError.message}`);
+      return;
+    }
+
+    showSuccess('Failed delivery discarded.');
+    loadDeadLetters();
+  });
+}
+
 // Settings management
 function loadSettings() {
   chrome.storage.local.get({ 
@@ -322,6 +1082,9 @@ function loadSettings() {
     
     // Notification settings
     document.getElementById('notificationInterval').value = data.settings.notificationInterval;
+    document.getElementById('autoCaptureEnabled').checked = !!data.settings.autoCaptureEnabled;
+    updateAutoCaptureStatus(!!data.settings.autoCaptureEnabled);
+    populateDefaultWebhookSelect();
     
     // LinkedIn settings
     document.getElementById('linkedinAutoDetect').checked = data.linkedinAutoDetect;
@@ -336,12 +1099,47 @@ function loadSettings() {
   });
 }
 
-function updateWebhookSelectionVisibility(webhookSetting) {
-  const selectionGroup = document.getElementById('webhook-selection-group');
-  selectionGroup.style.display = webhookSetting === 'selected' ? 'block' : 'none';
-}
-
-function populateWebhookCheckboxes(selectedWebhooks = []) {
+// Merges changes into the stored settings so separate forms don't overwrite each other
+function updateSettings(changes, successMessage) {
+  chrome.storage.local.get({ settings: { notificationInterval: 5 } }, function (data) {
+    chrome.storage.local.set({ settings: { ...data.settings, ...changes } }, function () {
+      if (chrome.runtime.lastError) {
+        console.error('Failed to save settings:', chrome.runtime.lastError);
+        showError('Error saving settings. Please try again.');
+        return;
+      }
+
+      showSuccess(successMessage);
+    });
+  });
+}
+
+function populateDefaultWebhookSelect() {
+  chrome.storage.local.get({ webhooks: [], settings: {} }, function (data) {
+    const selectedUrl = data.settings.defaultWebhookUrl;
+    const select = document.getElementById('defaultWebhook');
+    select.innerHTML = '';
+    const noneOption = document.createElement('option');
+    noneOption.value = '';
+    noneOption.textContent = 'None';
+    select.appendChild(noneOption);
+
+    data.webhooks.forEach(function (webhook) {
+      const option = document.createElement('option');
+      option.value = webhook.url;
+      option.textContent = webhook.name;
+      select.appendChild(option);
+    });
+    select.value = data.webhooks.some(webhook => webhook.url === selectedUrl) ? selectedUrl : '';
+  });
+}
+
+function updateWebhookSelectionVisibility(webhookSetting) {
+  const selectionGroup = document.getElementById('webhook-selection-group');
+  selectionGroup.style.display = webhookSetting === 'selected' ? 'block' : 'none';
+}
+
+function populateWebhookCheckboxes(selectedWebhooks = []) {
   chrome.storage.local.get('webhooks', function (data) {
     const container = document.getElementById('webhook-checkboxes');
     container.innerHTML = '';
@@ -350,28 +1148,859 @@ function populateWebhookCheckboxes(selectedWebhooks = []) {
       container.innerHTML = '<p style="color: var(--text-secondary); font-size: 12px; margin: 0;">No webhooks configured</p>';
       return;
     }
-    
-    data.webhooks.forEach((webhook, index) => {
-      const item = document.createElement('div');
-      item.className = 'webhook-checkbox-item';
-      
-      const checkbox = document.createElement('input');
-      checkbox.type = 'checkbox';
-      checkbox.id = `webhook-${index}`;
-      checkbox.value = index;
-      checkbox.checked = selectedWebhooks.includes(index);
-      
-      const label = document.createElement('label');
-      label.htmlFor = `webhook-${index}`;
-      label.textContent = webhook.name;
-      
-      item.appendChild(checkbox);
-      item.appendChild(label);
-      container.appendChild(item);
+    
+    data.webhooks.forEach((webhook, index) => {
+      const item = document.createElement('div');
+      item.className = 'webhook-checkbox-item';
+      
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.id = `webhook-${index}`;
+      checkbox.value = index;
+      checkbox.checked = selectedWebhooks.includes(index);
+      
+      const label = document.createElement('label');
+      label.htmlFor = `webhook-${index}`;
+      label.textContent = webhook.name;
+      
+      item.appendChild(checkbox);
+      item.appendChild(label);
+      container.appendChild(item);
+    });
+  });
+}
+
+// Webhook groups
+function createGroupCard(group, index, webhooks) {
+  const card = document.createElement('div');
+  card.className = 'webhook-card';
+
+  const header = document.createElement('div');
+  header.className = 'webhook-header';
+
+  const titleContainer = document.createElement('div');
+  const title = document.createElement('h4');
+  title.className = 'webhook-title';
+  title.textContent = group.name;
+
+  // Members are stored by URL; show names and flag any that no longer exist
+  const memberNames = group.webhookUrls.map(url => {
+    const webhook = webhooks.find(wh => wh.url === url);
+    return webhook ? webhook.name : `${url} (missing)`;
+  });
+  const members = document.createElement('div');
+  members.className = 'webhook-url';
+  members.textContent = memberNames.join(', ') || 'No members';
+
+  titleContainer.appendChild(title);
+  titleContainer.appendChild(members);
+  header.appendChild(titleContainer);
+
+  const actions = document.createElement('div');
+  actions.className = 'webhook-actions';
+
+  const editButton = document.createElement('button');
+  editButton.className = 'btn btn-sm btn-secondary';
+  editButton.innerHTML = '<i class="fa fa-edit"></i> Edit';
+  editButton.onclick = function () {
+    editGroup(index);
+  };
+
+  const deleteButton = document.createElement('button');
+  deleteButton.className = 'btn btn-sm btn-danger';
+  deleteButton.innerHTML = '<i class="fa fa-trash"></i>';
+  deleteButton.onclick = function () {
+    deleteGroup(index);
+  };
+
+  actions.appendChild(editButton);
+  actions.appendChild(deleteButton);
+
+  card.appendChild(header);
+  card.appendChild(actions);
+  return card;
+}
+
+// Checkbox list of webhooks keyed by URL, shared by the group and rule forms
+function populateWebhookUrlCheckboxes(containerId, webhooks, selectedUrls) {
+  const container = document.getElementById(containerId);
+  container.innerHTML = '';
+
+  if (webhooks.length === 0) {
+    container.innerHTML = '<p style="color: var(--text-secondary); font-size: 12px; margin: 0;">No webhooks configured</p>';
+    return;
+  }
+
+  webhooks.forEach((webhook, index) => {
+    const item = document.createElement('div');
+    item.className = 'webhook-checkbox-item';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.id = `${containerId}-${index}`;
+    checkbox.value = webhook.url;
+    checkbox.checked = selectedUrls.includes(webhook.url);
+
+    const label = document.createElement('label');
+    label.htmlFor = `${containerId}-${index}`;
+    label.textContent = webhook.name;
+
+    item.appendChild(checkbox);
+    item.appendChild(label);
+    container.appendChild(item);
+  });
+}
+
+// Labelled checkboxes for a list defined in lib/ ({ value: label })
+function fillCheckboxOptions(containerId, labels) {
+  const container = document.getElementById(containerId);
+  Object.entries(labels).forEach(([value, label]) => {
+    const checkboxLabel = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = value;
+    checkboxLabel.append(checkbox, ` ${label}`);
+    container.appendChild(checkboxLabel);
+  });
+}
+
+function readCheckedValues(containerId) {
+  return Array.from(document.querySelectorAll(`#${containerId} input[type="checkbox"]:checked`))
+    .map(checkbox => checkbox.value);
+}
+
+function loadGroups() {
+  chrome.storage.local.get({ webhooks: [], webhookGroups: [] }, function (data) {
+    const list = document.getElementById('groupList');
+    list.innerHTML = '';
+    data.webhookGroups.forEach(function (group, index) {
+      list.appendChild(createGroupCard(group, index, data.webhooks));
+    });
+
+    // Keep the current selection when the webhook list changes under the form
+    populateWebhookUrlCheckboxes('group-webhook-checkboxes', data.webhooks, readCheckedValues('group-webhook-checkboxes'));
+  });
+}
+
+function resetGroupForm() {
+  const form = document.getElementById('groupForm');
+  form.reset();
+  delete form.dataset.index;
+  document.getElementById('group-save-btn-text').textContent = 'Save Group';
+  document.getElementById('cancelGroupEdit').classList.add('hidden');
+  document.querySelectorAll('#group-webhook-checkboxes input[type="checkbox"]').forEach(checkbox => {
+    checkbox.checked = false;
+  });
+}
+
+function editGroup(index) {
+  chrome.storage.local.get({ webhooks: [], webhookGroups: [] }, function (data) {
+    const group = data.webhookGroups[index];
+    if (!group) {
+      return;
+    }
+
+    document.getElementById('groupName').value = group.name;
+    populateWebhookUrlCheckboxes('group-webhook-checkboxes', data.webhooks, group.webhookUrls);
+    document.getElementById('groupForm').dataset.index = index;
+    document.getElementById('group-save-btn-text').textContent = 'Update Group';
+    document.getElementById('cancelGroupEdit').classList.remove('hidden');
+    document.getElementById('group-form-section').scrollIntoView({ behavior: 'smooth' });
+  });
+}
+
+function deleteGroup(index) {
+  chrome.storage.local.get({ webhookGroups: [] }, function (data) {
+    const groups = data.webhookGroups;
+    const deletedGroup = groups.splice(index, 1)[0];
+    chrome.storage.local.set({ webhookGroups: groups }, function () {
+      if (chrome.runtime.lastError) {
+        showError('Error deleting group. Please try again.');
+        return;
+      }
+      showSuccess(`Group "${deletedGroup.name}" deleted.`);
+      resetGroupForm();
+      loadGroups();
+    });
+  });
+}
+
+// Rewrites a webhook URL wherever it is referenced (groups, rules, default webhook); a null newUrl removes it
+function updateWebhookReferences(oldUrl, newUrl) {
+  chrome.storage.local.get({ webhookGroups: [], routingRules: [], autoCaptureRules: [], settings: {} }, function (data) {
+    const replaceUrl = entry => ({
+      ...entry,
+      webhookUrls: entry.webhookUrls
+        .map(url => (url === oldUrl ? newUrl : url))
+        .filter(Boolean)
+    });
+    const updates = {
+      webhookGroups: data.webhookGroups.map(replaceUrl),
+      routingRules: data.routingRules.map(replaceUrl),
+      autoCaptureRules: data.autoCaptureRules.map(rule => (rule.webhookUrl === oldUrl ? { ...rule, webhookUrl: newUrl } : rule))
+    };
+    if (data.settings.defaultWebhookUrl === oldUrl) {
+      updates.settings = { ...data.settings, defaultWebhookUrl: newUrl || '' };
+    }
+    chrome.storage.local.set(updates, function () {
+      loadGroups();
+      loadRules();
+      loadAutoCaptureRules();
+      populateDefaultWebhookSelect();
+    });
+  });
+}
+
+// Routing rules
+const RULE_PATTERN_HINTS = {
+  glob: '* matches anything, ? one character; the scheme is optional (github.com/*/issues/*). Leave empty to match on context only.',
+  regex: 'JavaScript regex tested against the full URL, optionally as /pattern/flags.',
+  domain: 'example.com matches the domain and its subdomains; *.example.com only subdomains.'
+};
+
+function updateRulePatternHint() {
+  const matchType = document.getElementById('ruleMatchType').value;
+  document.getElementById('rule-pattern-hint').textContent = RULE_PATTERN_HINTS[matchType];
+}
+
+function createRuleCard(rule, index, ruleCount, webhooks) {
+  const card = document.createElement('div');
+  card.className = 'webhook-card';
+
+  const header = document.createElement('div');
+  header.className = 'webhook-header';
+
+  const titleContainer = document.createElement('div');
+  const title = document.createElement('h4');
+  title.className = 'webhook-title';
+  title.textContent = `${index + 1}. ${rule.name}`;
+
+  const targetNames = rule.webhookUrls.map(url => {
+    const webhook = webhooks.find(wh => wh.url === url);
+    return webhook ? webhook.name : `${url} (missing)`;
+  });
+  const summary = document.createElement('div');
+  summary.className = 'webhook-url';
+  const condition = rule.pattern ? `${rule.matchType}: ${rule.pattern}` : 'any URL';
+  summary.textContent = `${condition} → ${targetNames.join(', ')}`;
+
+  titleContainer.appendChild(title);
+  titleContainer.appendChild(summary);
+  header.appendChild(titleContainer);
+
+  const meta = document.createElement('div');
+  meta.className = 'webhook-meta';
+  if (rule.contexts && rule.contexts.length > 0) {
+    const contextBadge = document.createElement('span');
+    contextBadge.className = 'badge badge-rate-limit';
+    contextBadge.textContent = rule.contexts.join(', ');
+    meta.appendChild(contextBadge);
+  }
+  if (rule.stop) {
+    const stopBadge = document.createElement('span');
+    stopBadge.className = 'badge badge-rate-limit';
+    stopBadge.textContent = 'Stop';
+    meta.appendChild(stopBadge);
+  }
+  if (rule.enabled === false) {
+    const disabledBadge = document.createElement('span');
+    disabledBadge.className = 'badge badge-error';
+    disabledBadge.textContent = 'Disabled';
+    meta.appendChild(disabledBadge);
+  }
+
+  const actions = document.createElement('div');
+  actions.className = 'webhook-actions';
+
+  const upButton = document.createElement('button');
+  upButton.className = 'btn btn-sm btn-secondary';
+  upButton.innerHTML = '<i class="fa fa-arrow-up"></i>';
+  upButton.title = 'Move up';
+  upButton.disabled = index === 0;
+  upButton.onclick = function () {
+    moveRule(index, -1);
+  };
+
+  const downButton = document.createElement('button');
+  downButton.className = 'btn btn-sm btn-secondary';
+  downButton.innerHTML = '<i class="fa fa-arrow-down"></i>';
+  downButton.title = 'Move down';
+  downButton.disabled = index === ruleCount - 1;
+  downButton.onclick = function () {
+    moveRule(index, 1);
+  };
+
+  const editButton = document.createElement('button');
+  editButton.className = 'btn btn-sm btn-secondary';
+  editButton.innerHTML = '<i class="fa fa-edit"></i> Edit';
+  editButton.onclick = function () {
+    editRule(index);
+  };
+
+  const deleteButton = document.createElement('button');
+  deleteButton.className = 'btn btn-sm btn-danger';
+  deleteButton.innerHTML = '<i class="fa fa-trash"></i>';
+  deleteButton.onclick = function () {
+    deleteRule(index);
+  };
+
+  actions.appendChild(upButton);
+  actions.appendChild(downButton);
+  actions.appendChild(editButton);
+  actions.appendChild(deleteButton);
+
+  card.appendChild(header);
+  if (meta.children.length > 0) {
+    card.appendChild(meta);
+  }
+  card.appendChild(actions);
+  return card;
+}
+
+function loadRules() {
+  chrome.storage.local.get({ webhooks: [], routingRules: [] }, function (data) {
+    const list = document.getElementById('ruleList');
+    list.innerHTML = '';
+    data.routingRules.forEach(function (rule, index) {
+      list.appendChild(createRuleCard(rule, index, data.routingRules.length, data.webhooks));
+    });
+
+    populateWebhookUrlCheckboxes('rule-webhook-checkboxes', data.webhooks, readCheckedValues('rule-webhook-checkboxes'));
+    updateRuleTestResult();
+  });
+}
+
+function resetRuleForm() {
+  const form = document.getElementById('ruleForm');
+  form.reset();
+  delete form.dataset.index;
+  document.getElementById('rule-save-btn-text').textContent = 'Add Rule';
+  document.getElementById('cancelRuleEdit').classList.add('hidden');
+  updateRulePatternHint();
+}
+
+function editRule(index) {
+  chrome.storage.local.get({ webhooks: [], routingRules: [] }, function (data) {
+    const rule = data.routingRules[index];
+    if (!rule) {
+      return;
+    }
+
+    document.getElementById('ruleName').value = rule.name;
+    document.getElementById('ruleMatchType').value = rule.matchType || 'glob';
+    document.getElementById('rulePattern').value = rule.pattern || '';
+    document.querySelectorAll('#rule-context-checkboxes input[type="checkbox"]').forEach(checkbox => {
+      checkbox.checked = (rule.contexts || []).includes(checkbox.value);
+    });
+    populateWebhookUrlCheckboxes('rule-webhook-checkboxes', data.webhooks, rule.webhookUrls);
+    document.getElementById('ruleStop').checked = !!rule.stop;
+    document.getElementById('ruleEnabled').checked = rule.enabled !== false;
+    updateRulePatternHint();
+
+    document.getElementById('ruleForm').dataset.index = index;
+    document.getElementById('rule-save-btn-text').textContent = 'Update Rule';
+    document.getElementById('cancelRuleEdit').classList.remove('hidden');
+    document.getElementById('rules-tab').scrollIntoView({ behavior: 'smooth' });
+  });
+}
+
+function saveRules(rules, message) {
+  chrome.storage.local.set({ routingRules: rules }, function () {
+    if (chrome.runtime.lastError) {
+      console.error('Failed to save rules:', chrome.runtime.lastError);
+      showError('Error saving rules. Please try again.');
+      return;
+    }
+    if (message) {
+      showSuccess(message);
+    }
+    loadRules();
+  });
+}
+
+function moveRule(index, delta) {
+  chrome.storage.local.get({ routingRules: [] }, function (data) {
+    const rules = data.routingRules;
+    const target = index + delta;
+    if (target < 0 || target >= rules.length) {
+      return;
+    }
+    [rules[index], rules[target]] = [rules[target], rules[index]];
+    saveRules(rules);
+  });
+}
+
+function deleteRule(index) {
+  chrome.storage.local.get({ routingRules: [] }, function (data) {
+    const rules = data.routingRules;
+    const deletedRule = rules.splice(index, 1)[0];
+    resetRuleForm();
+    saveRules(rules, `Rule "${deletedRule.name}" deleted.`);
+  });
+}
+
+function updateRuleTestResult() {
+  const url = document.getElementById('ruleTestUrl').value.trim();
+  const type = document.getElementById('ruleTestType').value;
+  const result = document.getElementById('ruleTestResult');
+  if (!url) {
+    result.textContent = 'Rules run top to bottom from "Send to Webhook" → "⚡ Send via rules".';
+    return;
+  }
+
+  chrome.storage.local.get({ webhooks: [], routingRules: [] }, function (data) {
+    const { matchedRules, webhookUrls } = resolveRoutes(data.routingRules, url, type);
+    if (matchedRules.length === 0) {
+      result.textContent = 'No rule matches; the quick-picker would ask where to send.';
+      return;
+    }
+    const names = webhookUrls.map(webhookUrl => data.webhooks.find(wh => wh.url === webhookUrl)?.name || webhookUrl);
+    result.textContent = `Matches ${matchedRules.map(rule => rule.name).join(', ')} → ${names.join(', ')}`;
+  });
+}
+
+// Auto-capture rules
+function updateAutoCaptureStatus(enabled) {
+  document.getElementById('auto-capture-status').textContent = enabled
+    ? 'Auto-capture is on.'
+    : 'Auto-capture is off. Turn it on in the Settings tab for these rules to run.';
+}
+
+function populateAutoCaptureWebhookSelect(webhooks, selectedUrl) {
+  const select = document.getElementById('autoCaptureWebhook');
+  select.innerHTML = '';
+  webhooks.forEach(function (webhook) {
+    const option = document.createElement('option');
+    option.value = webhook.url;
+    option.textContent = webhook.name;
+    select.appendChild(option);
+  });
+  if (webhooks.some(webhook => webhook.url === selectedUrl)) {
+    select.value = selectedUrl;
+  }
+}
+
+function createAutoCaptureCard(rule, index, webhooks) {
+  const card = document.createElement('div');
+  card.className = 'webhook-card';
+
+  const header = document.createElement('div');
+  header.className = 'webhook-header';
+
+  const titleContainer = document.createElement('div');
+  const title = document.createElement('h4');
+  title.className = 'webhook-title';
+  title.textContent = rule.name;
+
+  const webhook = webhooks.find(wh => wh.url === rule.webhookUrl);
+  const summary = document.createElement('div');
+  summary.className = 'webhook-url';
+  summary.textContent = `${rule.matchType}: ${rule.pattern} → ${webhook ? webhook.name : 'missing webhook'}`;
+
+  titleContainer.appendChild(title);
+  titleContainer.appendChild(summary);
+  header.appendChild(titleContainer);
+
+  const meta = document.createElement('div');
+  meta.className = 'webhook-meta';
+  const debounceBadge = document.createElement('span');
+  debounceBadge.className = 'badge badge-rate-limit';
+  debounceBadge.textContent = `Debounce ${rule.debounceMinutes}m`;
+  meta.appendChild(debounceBadge);
+  if (rule.enabled === false) {
+    const disabledBadge = document.createElement('span');
+    disabledBadge.className = 'badge badge-error';
+    disabledBadge.textContent = 'Disabled';
+    meta.appendChild(disabledBadge);
+  }
+
+  const actions = document.createElement('div');
+  actions.className = 'webhook-actions';
+
+  const editButton = document.createElement('button');
+  editButton.className = 'btn btn-sm btn-secondary';
+  editButton.innerHTML = '<i class="fa fa-edit"></i> Edit';
+  editButton.onclick = function () {
+    editAutoCaptureRule(index);
+  };
+
+  const deleteButton = document.createElement('button');
+  deleteButton.className = 'btn btn-sm btn-danger';
+  deleteButton.innerHTML = '<i class="fa fa-trash"></i>';
+  deleteButton.onclick = function () {
+    deleteAutoCaptureRule(index);
+  };
+
+  actions.appendChild(editButton);
+  actions.appendChild(deleteButton);
+
+  card.appendChild(header);
+  card.appendChild(meta);
+  card.appendChild(actions);
+  return card;
+}
+
+function loadAutoCaptureRules() {
+  chrome.storage.local.get({ webhooks: [], autoCaptureRules: [] }, function (data) {
+    const list = document.getElementById('autoCaptureList');
+    list.innerHTML = '';
+    data.autoCaptureRules.forEach(function (rule, index) {
+      list.appendChild(createAutoCaptureCard(rule, index, data.webhooks));
+    });
+
+    populateAutoCaptureWebhookSelect(data.webhooks, document.getElementById('autoCaptureWebhook').value);
+  });
+}
+
+function resetAutoCaptureForm() {
+  const form = document.getElementById('autoCaptureForm');
+  form.reset();
+  delete form.dataset.index;
+  document.getElementById('auto-capture-save-btn-text').textContent = 'Add Auto-capture Rule';
+  document.getElementById('cancelAutoCaptureEdit').classList.add('hidden');
+}
+
+function editAutoCaptureRule(index) {
+  chrome.storage.local.get({ webhooks: [], autoCaptureRules: [] }, function (data) {
+    const rule = data.autoCaptureRules[index];
+    if (!rule) {
+      return;
+    }
+
+    document.getElementById('autoCaptureName').value = rule.name;
+    document.getElementById('autoCaptureMatchType').value = rule.matchType;
+    document.getElementById('autoCapturePattern').value = rule.pattern;
+    populateAutoCaptureWebhookSelect(data.webhooks, rule.webhookUrl);
+    document.getElementById('autoCaptureDebounce').value = rule.debounceMinutes;
+    document.getElementById('autoCaptureRuleEnabled').checked = rule.enabled !== false;
+
+    document.getElementById('autoCaptureForm').dataset.index = index;
+    document.getElementById('auto-capture-save-btn-text').textContent = 'Update Auto-capture Rule';
+    document.getElementById('cancelAutoCaptureEdit').classList.remove('hidden');
+    document.getElementById('autoCaptureForm').scrollIntoView({ behavior: 'smooth' });
+  });
+}
+
+function deleteAutoCaptureRule(index) {
+  chrome.storage.local.get({ autoCaptureRules: [] }, function (data) {
+    const rules = data.autoCaptureRules;
+    const deletedRule = rules.splice(index, 1)[0];
+    chrome.storage.local.set({ autoCaptureRules: rules }, function () {
+      if (chrome.runtime.lastError) {
+        showError('Error deleting auto-capture rule. Please try again.');
+        return;
+      }
+      showSuccess(`Auto-capture rule "${deletedRule.name}" deleted.`);
+      resetAutoCaptureForm();
+      loadAutoCaptureRules();
+    });
+  });
+}
+
+// Extraction profiles
+function createSelectInput(className, label, options, value) {
+  const select = document.createElement('select');
+  select.className = `form-input ${className}`;
+  select.setAttribute('aria-label', label);
+  options.forEach(function ([optionValue, optionLabel]) {
+    const option = document.createElement('option');
+    option.value = optionValue;
+    option.textContent = optionLabel;
+    select.appendChild(option);
+  });
+  select.value = value;
+  return select;
+}
+
+function addProfileFieldRow(field = { name: '', selectorType: 'css', selector: '', mode: 'text', attribute: '', all: false }) {
+  const row = document.createElement('div');
+  row.className = 'profile-field';
+
+  const selectorLine = document.createElement('div');
+  selectorLine.className = 'header-row';
+
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.className = 'form-input field-name';
+  nameInput.placeholder = 'Field name';
+  nameInput.setAttribute('aria-label', 'Field name');
+  nameInput.value = field.name;
+
+  const typeSelect = createSelectInput('field-selector-type', 'Selector type', [['css', 'CSS'], ['xpath', 'XPath']], field.selectorType);
+
+  const selectorInput = document.createElement('input');
+  selectorInput.type = 'text';
+  selectorInput.className = 'form-input code-input field-selector';
+  selectorInput.placeholder = field.selectorType === 'xpath' ? '//h1' : 'h1.product-title';
+  selectorInput.setAttribute('aria-label', 'Selector');
+  selectorInput.value = field.selector;
+  typeSelect.onchange = function () {
+    selectorInput.placeholder = typeSelect.value === 'xpath' ? '//h1' : 'h1.product-title';
+  };
+
+  selectorLine.appendChild(nameInput);
+  selectorLine.appendChild(typeSelect);
+  selectorLine.appendChild(selectorInput);
+
+  const modeLine = document.createElement('div');
+  modeLine.className = 'header-row';
+
+  const modeSelect = createSelectInput('field-mode', 'Value', [['text', 'Text'], ['html', 'HTML'], ['attribute', 'Attribute']], field.mode);
+
+  const attributeInput = document.createElement('input');
+  attributeInput.type = 'text';
+  attributeInput.className = 'form-input field-attribute';
+  attributeInput.placeholder = 'Attribute (href, content…)';
+  attributeInput.setAttribute('aria-label', 'Attribute name');
+  attributeInput.value = field.attribute || '';
+  attributeInput.classList.toggle('hidden', field.mode !== 'attribute');
+  modeSelect.onchange = function () {
+    attributeInput.classList.toggle('hidden', modeSelect.value !== 'attribute');
+  };
+
+  const allLabel = document.createElement('label');
+  const allCheckbox = document.createElement('input');
+  allCheckbox.type = 'checkbox';
+  allCheckbox.className = 'field-all';
+  allCheckbox.checked = !!field.all;
+  allLabel.appendChild(allCheckbox);
+  allLabel.append(' All matches');
+
+  const removeButton = document.createElement('button');
+  removeButton.type = 'button';
+  removeButton.className = 'btn btn-sm btn-secondary';
+  removeButton.title = 'Remove field';
+  removeButton.innerHTML = '<i class="fa fa-times"></i>';
+  removeButton.onclick = function () {
+    row.remove();
+  };
+
+  modeLine.appendChild(modeSelect);
+  modeLine.appendChild(attributeInput);
+  modeLine.appendChild(allLabel);
+  modeLine.appendChild(removeButton);
+
+  row.appendChild(selectorLine);
+  row.appendChild(modeLine);
+  document.getElementById('profileFieldRows').appendChild(row);
+}
+
+function fillProfileFieldRows(fields) {
+  document.getElementById('profileFieldRows').innerHTML = '';
+  fields.forEach(field => addProfileFieldRow(field));
+}
+
+// Checks selector syntax here so mistakes show up before the profile reaches a page
+function validateFieldSelector(selectorType, selector) {
+  try {
+    if (selectorType === 'xpath') {
+      document.createExpression(selector);
+    } else {
+      document.createDocumentFragment().querySelector(selector);
+    }
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+// Returns the fields from the editor, or null after showing a validation error
+function readProfileFieldRows() {
+  const fields = [];
+  for (const row of document.querySelectorAll('#profileFieldRows .profile-field')) {
+    const name = row.querySelector('.field-name').value.trim();
+    const selectorType = row.querySelector('.field-selector-type').value;
+    const selector = row.querySelector('.field-selector').value.trim();
+    const mode = row.querySelector('.field-mode').value;
+    const attribute = row.querySelector('.field-attribute').value.trim();
+    const all = row.querySelector('.field-all').checked;
+    if (!name && !selector) continue;
+
+    if (!name || !selector) {
+      showError('Every field needs a name and a selector.');
+      return null;
+    }
+    if (fields.some(field => field.name === name)) {
+      showError(`Field "${name}" is defined twice.`);
+      return null;
+    }
+    const selectorError = validateFieldSelector(selectorType, selector);
+    if (selectorError) {
+      showError(`Selector error in "${name}": ${selectorError}`);
+      return null;
+    }
+    if (mode === 'attribute' && !attribute) {
+      showError(`Field "${name}" needs an attribute name.`);
+      return null;
+    }
+    fields.push({ name, selectorType, selector, mode, attribute: mode === 'attribute' ? attribute : '', all });
+  }
+  return fields;
+}
+
+function createProfileCard(profile, index) {
+  const card = document.createElement('div');
+  card.className = 'webhook-card';
+
+  const header = document.createElement('div');
+  header.className = 'webhook-header';
+
+  const titleContainer = document.createElement('div');
+  const title = document.createElement('h4');
+  title.className = 'webhook-title';
+  title.textContent = profile.name;
+
+  const summary = document.createElement('div');
+  summary.className = 'webhook-url';
+  summary.textContent = `${profile.matchType}: ${profile.pattern} → ${profile.fields.map(field => field.name).join(', ')}`;
+
+  titleContainer.appendChild(title);
+  titleContainer.appendChild(summary);
+  header.appendChild(titleContainer);
+
+  const meta = document.createElement('div');
+  meta.className = 'webhook-meta';
+  const fieldsBadge = document.createElement('span');
+  fieldsBadge.className = 'badge badge-rate-limit';
+  fieldsBadge.textContent = `${profile.fields.length} field(s)`;
+  meta.appendChild(fieldsBadge);
+  if (profile.enabled === false) {
+    const disabledBadge = document.createElement('span');
+    disabledBadge.className = 'badge badge-error';
+    disabledBadge.textContent = 'Disabled';
+    meta.appendChild(disabledBadge);
+  }
+
+  const actions = document.createElement('div');
+  actions.className = 'webhook-actions';
+
+  const editButton = document.createElement('button');
+  editButton.className = 'btn btn-sm btn-secondary';
+  editButton.innerHTML = '<i class="fa fa-edit"></i> Edit';
+  editButton.onclick = function () {
+    editExtractionProfile(index);
+  };
+
+  const deleteButton = document.createElement('button');
+  deleteButton.className = 'btn btn-sm btn-danger';
+  deleteButton.innerHTML = '<i class="fa fa-trash"></i>';
+  deleteButton.onclick = function () {
+    deleteExtractionProfile(index);
+  };
+
+  actions.appendChild(editButton);
+  actions.appendChild(deleteButton);
+
+  card.appendChild(header);
+  card.appendChild(meta);
+  card.appendChild(actions);
+  return card;
+}
+
+function loadExtractionProfiles() {
+  chrome.storage.local.get({ extractionProfiles: [] }, function (data) {
+    const list = document.getElementById('profileList');
+    list.innerHTML = '';
+    data.extractionProfiles.forEach(function (profile, index) {
+      list.appendChild(createProfileCard(profile, index));
+    });
+  });
+}
+
+function resetProfileForm() {
+  const form = document.getElementById('profileForm');
+  form.reset();
+  delete form.dataset.index;
+  fillProfileFieldRows([]);
+  addProfileFieldRow();
+  document.getElementById('profileTestResult').classList.add('hidden');
+  document.getElementById('profile-save-btn-text').textContent = 'Add Profile';
+  document.getElementById('cancelProfileEdit').classList.add('hidden');
+}
+
+function editExtractionProfile(index) {
+  chrome.storage.local.get({ extractionProfiles: [] }, function (data) {
+    const profile = data.extractionProfiles[index];
+    if (!profile) {
+      return;
+    }
+
+    document.getElementById('profileName').value = profile.name;
+    document.getElementById('profileMatchType').value = profile.matchType;
+    document.getElementById('profilePattern').value = profile.pattern;
+    fillProfileFieldRows(profile.fields);
+    document.getElementById('profileEnabled').checked = profile.enabled !== false;
+    document.getElementById('profileTestResult').classList.add('hidden');
+
+    document.getElementById('profileForm').dataset.index = index;
+    document.getElementById('profile-save-btn-text').textContent = 'Update Profile';
+    document.getElementById('cancelProfileEdit').classList.remove('hidden');
+    document.getElementById('profileForm').scrollIntoView({ behavior: 'smooth' });
+  });
+}
+
+function deleteExtractionProfile(index) {
+  chrome.storage.local.get({ extractionProfiles: [] }, function (data) {
+    const profiles = data.extractionProfiles;
+    const deletedProfile = profiles.splice(index, 1)[0];
+    chrome.storage.local.set({ extractionProfiles: profiles }, function () {
+      if (chrome.runtime.lastError) {
+        showError('Error deleting extraction profile. Please try again.');
+        return;
+      }
+      showSuccess(`Extraction profile "${deletedProfile.name}" deleted.`);
+      resetProfileForm();
+      loadExtractionProfiles();
     });
   });
 }
 
+// Runs the fields in the form (saved or not) against the active tab and shows what each resolves to
+function testExtractionProfile() {
+  const fields = readProfileFieldRows();
+  if (!fields) {
+    return;
+  }
+  if (fields.length === 0) {
+    showError('Add at least one field to test.');
+    return;
+  }
+
+  const result = document.getElementById('profileTestResult');
+  const matchType = document.getElementById('profileMatchType').value;
+  const pattern = document.getElementById('profilePattern').value.trim();
+
+  chrome.tabs.query({ active: true, currentWindow: true }, async function (tabs) {
+    const tab = tabs[0];
+    result.classList.remove('hidden', 'invalid');
+    try {
+      await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        files: ['contentScripts/pageExtractor.js']
+      });
+      const injectionResults = await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        func: profileFields => WebhookPageExtractor.extractFields(profileFields),
+        args: [fields]
+      });
+      const { values, errors } = injectionResults[0].result;
+
+      const lines = [pattern && matchesUrlPattern(matchType, pattern, tab.url)
+        ? '✓ Pattern matches this tab'
+        : '⚠️ Pattern does not match this tab, so sends from it will not include these fields'];
+      fields.forEach(field => {
+        lines.push(errors[field.name]
+          ? `${field.name}: ✗ ${errors[field.name]}`
+          : `${field.name}: ${JSON.stringify(values[field.name])}`);
+      });
+      result.textContent = lines.join('\n');
+    } catch (error) {
+      result.textContent = `Could not run on this tab: ${error.message}`;
+      result.classList.add('invalid');
+    }
+  });
+}
+
 // Initialize tabs
 function initializeTabs() {
   document.querySelectorAll('.tab-btn').forEach(btn => {
@@ -419,10 +2048,34 @@ function initializeFormToggle() {
 
 // No longer needed - using close button instead
 
+// Options for a select whose values are defined in lib/ ({ value: label })
+function fillSelectOptions(selectId, labels) {
+  const select = document.getElementById(selectId);
+  Object.entries(labels).forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+}
+
 // Form submission handlers
 document.addEventListener('DOMContentLoaded', function() {
   initializeTabs();
   initializeFormToggle();
+  fillSelectOptions('encoding', BODY_ENCODINGS);
+  ['ruleMatchType', 'autoCaptureMatchType', 'profileMatchType'].forEach(selectId => fillSelectOptions(selectId, RULE_MATCH_TYPES));
+  fillCheckboxOptions('rule-context-checkboxes', RULE_CONTEXTS);
+  
+  document.getElementById('addHeaderRow').addEventListener('click', function () {
+    addHeaderRow();
+  });
+  document.getElementById('generateSecret').addEventListener('click', generateSigningSecret);
+  document.getElementById('template').addEventListener('input', updateTemplatePreview);
+  document.getElementById('destination').addEventListener('change', updateDestinationHint);
+  document.getElementById('url').addEventListener('input', updateDestinationHint);
+  updateDestinationHint();
+  updateTemplatePreview();
   
   // Webhook form submission
   document.getElementById('webhookForm').addEventListener('submit', function (e) {
@@ -440,13 +2093,73 @@ document.addEventListener('DOMContentLoaded', function() {
       return;
     }
 
-    const rateLimit = document.getElementById('rateLimit').value.trim();
-    const rateLimitValue = rateLimit ? parseInt(rateLimit) : 0;
+    const tokenBucket = readTokenBucketFields();
+    if (tokenBucket === false) {
+      return;
+    }
+
+    const destination = document.getElementById('destination').value;
+    const method = document.getElementById('method').value;
+    const encoding = document.getElementById('encoding').value;
+    const headers = readHeaderRows();
+    if (!headers) {
+      return;
+    }
+
+    const template = document.getElementById('template').value.trim();
+    try {
+      renderTemplate(template, SAMPLE_PAYLOAD);
+    } catch (templateError) {
+      showError(`Template error: ${templateError.message}`);
+      return;
+    }
+
+    const signing = readSigningFields();
+    if (signing === false) {
+      return;
+    }
+
+    const retryPolicy = readRetryPolicyFields();
+    if (!retryPolicy) {
+      return;
+    }
+
+    const batch = readBatchFields();
+    if (batch === false) {
+      return;
+    }
+
+    const article = readArticleFields();
+    if (article === false) {
+      return;
+    }
+
+    const image = readImageFields();
+    if (image === false) {
+      return;
+    }
+    const isChatDestination = CHAT_DESTINATIONS.includes(getDestinationType({ url, destination }));
+    if (isChatDestination && image && image.attachAs === 'file') {
+      showError('Slack, Discord and Teams only accept JSON messages. Attach images as base64 for this webhook.');
+      return;
+    }
+
+    const screenshot = readScreenshotFields();
+    if (screenshot === false) {
+      return;
+    }
+    if (isChatDestination && screenshot.attachAs === 'file') {
+      showError('Slack, Discord and Teams only accept JSON messages. Attach screenshots as base64 for this webhook.');
+      return;
+    }
 
-    if (rateLimit && (isNaN(rateLimitValue) || rateLimitValue < 0)) {
-      showError('Rate limit must be a positive number (seconds).');
+    const dedupeWindowValue = document.getElementById('dedupeWindow').value.trim();
+    const dedupeWindow = dedupeWindowValue ? parseInt(dedupeWindowValue) : 0;
+    if (isNaN(dedupeWindow) || dedupeWindow < 0) {
+      showError('Duplicate window must be a positive number of minutes.');
       return;
     }
+    const confirmBeforeSend = document.getElementById('confirmBeforeSend').checked;
 
     chrome.storage.local.get({ webhooks: [] }, function (data) {
       if (chrome.runtime.lastError) {
@@ -458,13 +2171,14 @@ document.addEventListener('DOMContentLoaded', function() {
       let webhooks = data.webhooks;
       const index = document.getElementById('webhookForm').dataset.index;
       const isEditing = index !== undefined;
+      const previousUrl = isEditing ? webhooks[index].url : null;
       
       if (isEditing) {
         // Update existing webhook
-        webhooks[index] = { url, name, rateLimit: rateLimitValue };
+        webhooks[index] = { url, name, tokenBucket, destination, method, encoding, headers, template, signing, retryPolicy, batch, article, image, screenshot, dedupeWindow, confirmBeforeSend };
       } else {
         // Add new webhook
-        webhooks.push({ url, name, rateLimit: rateLimitValue });
+        webhooks.push({ url, name, tokenBucket, destination, method, encoding, headers, template, signing, retryPolicy, batch, article, image, screenshot, dedupeWindow, confirmBeforeSend });
       }
       
       chrome.storage.local.set({ webhooks: webhooks }, function () {
@@ -474,6 +2188,9 @@ document.addEventListener('DOMContentLoaded', function() {
           return;
         }
         
+        if (previousUrl && previousUrl !== url) {
+          updateWebhookReferences(previousUrl, url);
+        }
         console.log('Webhook saved!');
         const action = isEditing ? 'updated' : 'added';
         showSuccess(`Webhook "${name}" ${action} successfully!`);
@@ -489,6 +2206,212 @@ document.addEventListener('DOMContentLoaded', function() {
     });
   });
 
+  // Group form submission
+  document.getElementById('groupForm').addEventListener('submit', function (e) {
+    e.preventDefault();
+    const name = document.getElementById('groupName').value.trim();
+    const webhookUrls = readCheckedValues('group-webhook-checkboxes');
+
+    if (!name) {
+      showError('Group name is required.');
+      return;
+    }
+    if (webhookUrls.length === 0) {
+      showError('Select at least one webhook for the group.');
+      return;
+    }
+
+    chrome.storage.local.get({ webhookGroups: [] }, function (data) {
+      const groups = data.webhookGroups;
+      const index = document.getElementById('groupForm').dataset.index;
+      const isEditing = index !== undefined;
+
+      if (isEditing) {
+        groups[index] = { name, webhookUrls };
+      } else {
+        groups.push({ name, webhookUrls });
+      }
+
+      chrome.storage.local.set({ webhookGroups: groups }, function () {
+        if (chrome.runtime.lastError) {
+          console.error('Failed to save the group:', chrome.runtime.lastError);
+          showError('Error saving group. Please try again.');
+          return;
+        }
+
+        showSuccess(`Group "${name}" ${isEditing ? 'updated' : 'added'} successfully!`);
+        resetGroupForm();
+        loadGroups();
+      });
+    });
+  });
+  document.getElementById('cancelGroupEdit').addEventListener('click', resetGroupForm);
+
+  // Rule form submission
+  document.getElementById('ruleForm').addEventListener('submit', function (e) {
+    e.preventDefault();
+    const name = document.getElementById('ruleName').value.trim();
+    const matchType = document.getElementById('ruleMatchType').value;
+    const pattern = document.getElementById('rulePattern').value.trim();
+    const contexts = readCheckedValues('rule-context-checkboxes');
+    const webhookUrls = readCheckedValues('rule-webhook-checkboxes');
+    const stop = document.getElementById('ruleStop').checked;
+    const enabled = document.getElementById('ruleEnabled').checked;
+
+    if (!name) {
+      showError('Rule name is required.');
+      return;
+    }
+    if (!pattern && contexts.length === 0) {
+      showError('Enter a pattern or pick at least one context.');
+      return;
+    }
+    const patternError = pattern ? validateUrlPattern(matchType, pattern) : null;
+    if (patternError) {
+      showError(`Pattern error: ${patternError}`);
+      return;
+    }
+    if (webhookUrls.length === 0) {
+      showError('Select at least one webhook for the rule.');
+      return;
+    }
+
+    chrome.storage.local.get({ routingRules: [] }, function (data) {
+      const rules = data.routingRules;
+      const index = document.getElementById('ruleForm').dataset.index;
+      const isEditing = index !== undefined;
+      const rule = { name, matchType, pattern, contexts, webhookUrls, stop, enabled };
+
+      if (isEditing) {
+        rules[index] = rule;
+      } else {
+        rules.push(rule);
+      }
+      resetRuleForm();
+      saveRules(rules, `Rule "${name}" ${isEditing ? 'updated' : 'added'} successfully!`);
+    });
+  });
+  document.getElementById('cancelRuleEdit').addEventListener('click', resetRuleForm);
+  document.getElementById('ruleMatchType').addEventListener('change', updateRulePatternHint);
+  document.getElementById('ruleTestUrl').addEventListener('input', updateRuleTestResult);
+  document.getElementById('ruleTestType').addEventListener('change', updateRuleTestResult);
+  updateRulePatternHint();
+
+  // Auto-capture rule form submission
+  document.getElementById('autoCaptureForm').addEventListener('submit', function (e) {
+    e.preventDefault();
+    const name = document.getElementById('autoCaptureName').value.trim();
+    const matchType = document.getElementById('autoCaptureMatchType').value;
+    const pattern = document.getElementById('autoCapturePattern').value.trim();
+    const webhookUrl = document.getElementById('autoCaptureWebhook').value;
+    const debounceMinutes = parseInt(document.getElementById('autoCaptureDebounce').value);
+    const enabled = document.getElementById('autoCaptureRuleEnabled').checked;
+
+    if (!name || !pattern) {
+      showError('Rule name and pattern are required.');
+      return;
+    }
+    const patternError = validateUrlPattern(matchType, pattern);
+    if (patternError) {
+      showError(`Pattern error: ${patternError}`);
+      return;
+    }
+    if (!webhookUrl) {
+      showError('Add a webhook before creating auto-capture rules.');
+      return;
+    }
+    if (isNaN(debounceMinutes) || debounceMinutes < 0) {
+      showError('Debounce must be zero or a positive number of minutes.');
+      return;
+    }
+
+    chrome.storage.local.get({ autoCaptureRules: [] }, function (data) {
+      const rules = data.autoCaptureRules;
+      const index = document.getElementById('autoCaptureForm').dataset.index;
+      const isEditing = index !== undefined;
+      // The id keys the debounce history, so it survives edits and reordering
+      const id = isEditing ? rules[index].id : crypto.randomUUID();
+      const rule = { id, name, matchType, pattern, webhookUrl, debounceMinutes, enabled };
+
+      if (isEditing) {
+        rules[index] = rule;
+      } else {
+        rules.push(rule);
+      }
+
+      chrome.storage.local.set({ autoCaptureRules: rules }, function () {
+        if (chrome.runtime.lastError) {
+          console.error('Failed to save the auto-capture rule:', chrome.runtime.lastError);
+          showError('Error saving auto-capture rule. Please try again.');
+          return;
+        }
+
+        showSuccess(`Auto-capture rule "${name}" ${isEditing ? 'updated' : 'added'} successfully!`);
+        resetAutoCaptureForm();
+        loadAutoCaptureRules();
+      });
+    });
+  });
+  document.getElementById('cancelAutoCaptureEdit').addEventListener('click', resetAutoCaptureForm);
+
+  // Extraction profile form submission
+  document.getElementById('profileForm').addEventListener('submit', function (e) {
+    e.preventDefault();
+    const name = document.getElementById('profileName').value.trim();
+    const matchType = document.getElementById('profileMatchType').value;
+    const pattern = document.getElementById('profilePattern').value.trim();
+    const enabled = document.getElementById('profileEnabled').checked;
+
+    if (!name || !pattern) {
+      showError('Profile name and pattern are required.');
+      return;
+    }
+    const patternError = validateUrlPattern(matchType, pattern);
+    if (patternError) {
+      showError(`Pattern error: ${patternError}`);
+      return;
+    }
+    const fields = readProfileFieldRows();
+    if (!fields) {
+      return;
+    }
+    if (fields.length === 0) {
+      showError('Add at least one field.');
+      return;
+    }
+
+    chrome.storage.local.get({ extractionProfiles: [] }, function (data) {
+      const profiles = data.extractionProfiles;
+      const index = document.getElementById('profileForm').dataset.index;
+      const isEditing = index !== undefined;
+      const profile = { name, matchType, pattern, fields, enabled };
+
+      if (isEditing) {
+        profiles[index] = profile;
+      } else {
+        profiles.push(profile);
+      }
+
+      chrome.storage.local.set({ extractionProfiles: profiles }, function () {
+        if (chrome.runtime.lastError) {
+          console.error('Failed to save the extraction profile:', chrome.runtime.lastError);
+          showError('Error saving extraction profile. Please try again.');
+          return;
+        }
+
+        showSuccess(`Extraction profile "${name}" ${isEditing ? 'updated' : 'added'} successfully!`);
+        resetProfileForm();
+        loadExtractionProfiles();
+      });
+    });
+  });
+  document.getElementById('cancelProfileEdit').addEventListener('click', resetProfileForm);
+  document.getElementById('addProfileField').addEventListener('click', function () {
+    addProfileFieldRow();
+  });
+  document.getElementById('testProfile').addEventListener('click', testExtractionProfile);
+  resetProfileForm();
+
   // Settings form submission
   document.getElementById('settingsForm').addEventListener('submit', function (e) {
     e.preventDefault();
@@ -499,17 +2422,14 @@ document.addEventListener('DOMContentLoaded', function() {
       return;
     }
     
-    const settings = { notificationInterval };
-    
-    chrome.storage.local.set({ settings }, function () {
-      if (chrome.runtime.lastError) {
-        console.error('Failed to save settings:', chrome.runtime.lastError);
-        showError('Error saving settings. Please try again.');
-        return;
-      }
-      
-      showSuccess('Settings saved successfully!');
-    });
+    const defaultWebhookUrl = document.getElementById('defaultWebhook').value;
+    updateSettings({ notificationInterval, defaultWebhookUrl }, 'Settings saved successfully!');
+  });
+  
+  document.getElementById('autoCaptureEnabled').addEventListener('change', function (e) {
+    const autoCaptureEnabled = e.target.checked;
+    updateSettings({ autoCaptureEnabled }, `Auto-capture ${autoCaptureEnabled ? 'enabled' : 'disabled'}.`);
+    updateAutoCaptureStatus(autoCaptureEnabled);
   });
   
   // LinkedIn settings form submission
@@ -587,6 +2507,25 @@ document.addEventListener('DOMContentLoaded', function() {
     });
   });
   
+  // History filters
+  document.getElementById('historyWebhookFilter').addEventListener('change', loadHistory);
+  document.getElementById('historyStatusFilter').addEventListener('change', loadHistory);
+  document.getElementById('clearHistory').addEventListener('click', function () {
+    chrome.storage.local.set({ deliveryHistory: [] }, function () {
+      if (chrome.runtime.lastError) {
+        console.error('Failed to clear history:', chrome.runtime.lastError);
+        showError('Error clearing history. Please try again.');
+        return;
+      }
+
+      showSuccess('History cleared.');
+      loadHistory();
+    });
+  });
+  
   loadWebhooks();
+  loadExtractionProfiles();
+  loadHistory();
+  loadDeadLetters();
   loadSettings();
 });
\ No newline at end of file
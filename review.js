@@ -0,0 +1,190 @@
+// Pre-send review window for webhooks with "confirm before sending": edit the payload's
+// text fields, add a note and tags, then send or cancel
+const reviewId = new URLSearchParams(location.search).get('id');
+// Sent as extracted; receivers rely on them for routing and deduplication
+const READ_ONLY_KEYS = ['type', 'timestamp', 'idempotencyKey'];
+let selectedTags = [];
+let knownTags = [];
+
+function formatFieldLabel(key) {
+  return key.replace(/([A-Z])/g, ' $1').replace(/^./, char => char.toUpperCase());
+}
+
+function renderFields(payload) {
+  const container = document.getElementById('reviewFields');
+  const attached = [];
+
+  Object.entries(payload).forEach(([key, value]) => {
+    if (READ_ONLY_KEYS.includes(key) || value === null || value === undefined) {
+      return;
+    }
+    if (typeof value !== 'string') {
+      attached.push(key);
+      return;
+    }
+
+    const group = document.createElement('div');
+    group.className = 'form-group';
+
+    const label = document.createElement('label');
+    label.htmlFor = `field-${key}`;
+    label.textContent = formatFieldLabel(key);
+
+    const multiline = value.length > 80 || value.includes('\n');
+    const input = document.createElement(multiline ? 'textarea' : 'input');
+    input.id = `field-${key}`;
+    input.className = 'form-input review-field';
+    input.dataset.key = key;
+    input.value = value;
+    if (multiline) {
+      input.rows = Math.min(8, Math.max(3, value.split('\n').length));
+    }
+
+    group.appendChild(label);
+    group.appendChild(input);
+    container.appendChild(group);
+  });
+
+  if (attached.length > 0) {
+    const hint = document.getElementById('reviewAttachments');
+    hint.textContent = `Also sent unchanged: ${attached.join(', ')}`;
+    hint.classList.remove('hidden');
+  }
+}
+
+function renderTags() {
+  const editor = document.getElementById('tagEditor');
+  const input = document.getElementById('tagInput');
+  editor.querySelectorAll('.tag-chip').forEach(chip => chip.remove());
+
+  selectedTags.forEach(function (tag) {
+    const chip = document.createElement('span');
+    chip.className = 'tag-chip';
+    chip.textContent = tag;
+
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.title = `Remove ${tag}`;
+    removeButton.innerHTML = '<i class="fa fa-times"></i>';
+    removeButton.onclick = function () {
+      selectedTags = selectedTags.filter(selected => selected !== tag);
+      renderTags();
+    };
+
+    chip.appendChild(removeButton);
+    editor.insertBefore(chip, input);
+  });
+
+  // Suggest previous tags that are not already on this payload
+  const suggestions = document.getElementById('tagSuggestions');
+  suggestions.innerHTML = '';
+  knownTags.filter(tag => !selectedTags.includes(tag)).forEach(function (tag) {
+    const option = document.createElement('option');
+    option.value = tag;
+    suggestions.appendChild(option);
+  });
+}
+
+function addTag(value) {
+  const tag = value.trim().replace(/,+$/, '').trim();
+  if (tag && !selectedTags.includes(tag)) {
+    selectedTags.push(tag);
+  }
+  document.getElementById('tagInput').value = '';
+  renderTags();
+}
+
+function readEdits() {
+  const values = {};
+  document.querySelectorAll('.review-field').forEach(input => {
+    values[input.dataset.key] = input.value.trim() ? input.value : null;
+  });
+
+  // A tag still being typed counts
+  const pendingTag = document.getElementById('tagInput').value;
+  if (pendingTag.trim()) {
+    addTag(pendingTag);
+  }
+  return {
+    values,
+    note: document.getElementById('reviewNote').value.trim(),
+    tags: selectedTags
+  };
+}
+
+function showReviewError(message) {
+  const errorElement = document.getElementById('reviewError');
+  errorElement.textContent = message;
+  errorElement.classList.remove('hidden');
+}
+
+function sendReview() {
+  const sendButton = document.getElementById('sendReview');
+  if (sendButton.disabled) {
+    return;
+  }
+  sendButton.disabled = true;
+
+  chrome.runtime.sendMessage({ action: 'sendReviewed', id: reviewId, edits: readEdits() }, function (response) {
+    if (chrome.runtime.lastError || !response?.success) {
+      const error = chrome.runtime.lastError?.message || response?.error || 'Unknown error';
+      showReviewError(`Could not send: ${error}`);
+      sendButton.disabled = false;
+      return;
+    }
+    window.close();
+  });
+}
+
+function cancelReview() {
+  chrome.runtime.sendMessage({ action: 'cancelReview', id: reviewId }, function () {
+    window.close();
+  });
+}
+
+document.addEventListener('DOMContentLoaded', function () {
+  chrome.storage.local.get({ pendingReviews: {}, reviewTags: [], webhooks: [] }, function (data) {
+    const review = data.pendingReviews[reviewId];
+    if (!review) {
+      document.getElementById('sendReview').disabled = true;
+      showReviewError('This review is no longer pending. It was already sent, cancelled or has expired.');
+      return;
+    }
+
+    const webhook = data.webhooks.find(wh => wh.url === review.webhookUrl);
+    document.getElementById('reviewTitle').textContent = `Send to ${webhook ? webhook.name : review.webhookUrl}`;
+    document.getElementById('reviewContext').textContent = `${review.payload.type}: ${review.payload.url}`;
+    knownTags = data.reviewTags;
+    renderFields(review.payload);
+    renderTags();
+    document.querySelector('.review-field')?.focus();
+  });
+
+  const tagInput = document.getElementById('tagInput');
+  tagInput.addEventListener('keydown', function (e) {
+    if ((e.key === 'Enter' || e.key === ',') && !e.ctrlKey && !e.metaKey) {
+      e.preventDefault();
+      addTag(tagInput.value);
+    } else if (e.key === 'Backspace' && !tagInput.value && selectedTags.length > 0) {
+      selectedTags.pop();
+      renderTags();
+    }
+  });
+  // Picking a suggestion from the datalist adds it straight away
+  tagInput.addEventListener('input', function (e) {
+    if (e.inputType === 'insertReplacementText' || (!e.inputType && knownTags.includes(tagInput.value))) {
+      addTag(tagInput.value);
+    }
+  });
+
+  document.getElementById('sendReview').addEventListener('click', sendReview);
+  document.getElementById('cancelReview').addEventListener('click', cancelReview);
+  document.addEventListener('keydown', function (e) {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      sendReview();
+    } else if (e.key === 'Escape') {
+      cancelReview();
+    }
+  });
+});
@@ -0,0 +1,155 @@
+import { describe, expect, test } from 'bun:test';
+import { loadLib } from './loadLib.js';
+
+const {
+  addFanoutResult,
+  appendToBatch,
+  buildQueueSnapshot,
+  checkRecentSend,
+  estimateQueueWait,
+  getBatchOptions,
+  getDedupeKeys,
+  isFanoutComplete,
+  pruneFanouts,
+  summarizeFanout
+} = loadLib('webhookConfig.js', 'template.js', 'destinations.js', 'request.js', 'delivery.js');
+
+describe('buildQueueSnapshot', () => {
+  const bucket = { capacity: 3, refillTokens: 1, refillSeconds: 10 };
+  const item = { id: '1', payload: { type: 'page' }, webhookName: 'A', timestamp: 1 };
+
+  test('keeps queues with pending items', () => {
+    const queues = new Map([['https://a.test', { queue: [item], tokenBucket: null, tokens: 0, lastRefill: 5, timer: 7, processing: true }]]);
+    expect(buildQueueSnapshot(queues)).toEqual({
+      'https://a.test': { queue: [item], tokenBucket: null, tokens: 0, lastRefill: 5 }
+    });
+  });
+
+  test('keeps empty queues only while their bucket is refilling', () => {
+    const queues = new Map([
+      ['https://drained.test', { queue: [], tokenBucket: bucket, tokens: 1.5, lastRefill: 5 }],
+      ['https://full.test', { queue: [], tokenBucket: bucket, tokens: 3, lastRefill: 5 }],
+      ['https://unlimited.test', { queue: [], tokenBucket: null, tokens: 0, lastRefill: 5 }]
+    ]);
+    expect(Object.keys(buildQueueSnapshot(queues))).toEqual(['https://drained.test']);
+  });
+});
+
+describe('estimateQueueWait', () => {
+  const bucket = { capacity: 1, refillTokens: 1, refillSeconds: 10 };
+  const items = count => Array.from({ length: count }, (_, index) => ({ id: String(index) }));
+
+  test('needs a token for every waiting item', () => {
+    expect(estimateQueueWait({ queue: items(3), tokenBucket: bucket, tokens: 0, lastRefill: 0 }, 0)).toBe(30000);
+    expect(estimateQueueWait({ queue: items(3), tokenBucket: null, tokens: 0, lastRefill: 0 }, 0)).toBe(0);
+  });
+
+  test('leaves out the item being sent', () => {
+    expect(estimateQueueWait({ queue: items(3), tokenBucket: bucket, tokens: 0, lastRefill: 0, processing: true }, 0)).toBe(20000);
+    expect(estimateQueueWait({ queue: items(1), tokenBucket: bucket, tokens: 0, lastRefill: 0, processing: true }, 0)).toBe(0);
+  });
+
+  test('adds the backoff of a head item waiting to retry', () => {
+    const queue = [{ id: '0', notBefore: 25000 }, ...items(1)];
+    // One token refills during the backoff; the second item waits for another
+    expect(estimateQueueWait({ queue, tokenBucket: bucket, tokens: 0, lastRefill: 0 }, 0)).toBe(35000);
+    expect(estimateQueueWait({ queue, tokenBucket: null, tokens: 0, lastRefill: 0 }, 0)).toBe(25000);
+    expect(estimateQueueWait({ queue, tokenBucket: null, tokens: 0, lastRefill: 0 }, 30000)).toBe(0);
+  });
+});
+
+describe('batching', () => {
+  test('is off unless enabled, with defaults for unset limits', () => {
+    expect(getBatchOptions({})).toBeNull();
+    expect(getBatchOptions({ batch: { enabled: false, maxItems: 5 } })).toBeNull();
+    expect(getBatchOptions({ batch: { enabled: true, maxItems: 5 } })).toEqual({ enabled: true, maxItems: 5, windowSeconds: 300 });
+  });
+
+  test('opens a buffer with the first item', () => {
+    const now = Date.parse('2024-01-01T00:00:00Z');
+    const buffer = appendToBatch(undefined, 'Hook', { type: 'page' }, now);
+    expect(buffer).toMatchObject({ webhookName: 'Hook', openedAt: now });
+    expect(buffer.items).toHaveLength(1);
+    expect(buffer.items[0]).toMatchObject({ queuedAt: '2024-01-01T00:00:00.000Z', payload: { type: 'page' } });
+    expect(buffer.items[0].id).toBeString();
+  });
+
+  test('appends to an open buffer without changing it', () => {
+    const first = appendToBatch(undefined, 'Hook', { n: 1 }, 1000);
+    const second = appendToBatch(first, 'Renamed', { n: 2 }, 2000);
+    expect(first.items).toHaveLength(1);
+    expect(second).toMatchObject({ webhookName: 'Hook', openedAt: 1000 });
+    expect(second.items.map(item => item.payload.n)).toEqual([1, 2]);
+    expect(second.items[0].id).not.toBe(second.items[1].id);
+  });
+});
+
+describe('duplicate suppression', () => {
+  const windowMs = 60000;
+
+  test('refuses a repeat inside the window and keeps the first send time', () => {
+    const first = checkRecentSend(undefined, 'page|https://a.test', windowMs, 1000);
+    expect(first).toEqual({ isDuplicate: false, sends: { 'page|https://a.test': 1000 } });
+    const repeat = checkRecentSend(first.sends, 'page|https://a.test', windowMs, 30000);
+    expect(repeat).toEqual({ isDuplicate: true, sends: { 'page|https://a.test': 1000 } });
+  });
+
+  test('drops sends that aged out of the window', () => {
+    const sends = { 'page|https://a.test': 1000, 'page|https://b.test': 50000 };
+    expect(checkRecentSend(sends, 'page|https://a.test', windowMs, 61000)).toEqual({
+      isDuplicate: false,
+      sends: { 'page|https://a.test': 61000, 'page|https://b.test': 50000 }
+    });
+  });
+
+  test('keys payloads by type and URL, and batches by their items', () => {
+    expect(getDedupeKeys({ type: 'link', url: 'https://a.test', title: 'A' })).toEqual(['link|https://a.test']);
+    expect(getDedupeKeys({ type: 'linkedin_mutual_connections', profileViewed: { profileUrl: 'https://in.test/x' } }))
+      .toEqual(['linkedin_mutual_connections|https://in.test/x']);
+    expect(getDedupeKeys([{ payload: { type: 'page', url: 'https://a.test' } }, { payload: { type: 'image', url: 'https://b.test/i.png' } }]))
+      .toEqual(['page|https://a.test', 'image|https://b.test/i.png']);
+  });
+});
+
+describe('group fan-outs', () => {
+  const fanout = { groupName: 'Team', total: 3, results: [], createdAt: 0 };
+
+  test('complete once every member has an outcome', () => {
+    let current = addFanoutResult(fanout, 'Slack', 'delivered');
+    current = addFanoutResult(current, 'Notion', 'review');
+    expect(fanout.results).toEqual([]);
+    expect(isFanoutComplete(current)).toBe(false);
+    current = addFanoutResult(current, 'n8n', 'failed');
+    expect(isFanoutComplete(current)).toBe(true);
+    expect(current.results.map(result => result.outcome)).toEqual(['delivered', 'review', 'failed']);
+  });
+
+  test('drop entries older than the maximum age', () => {
+    const fanouts = { old: { ...fanout, createdAt: 0 }, recent: { ...fanout, createdAt: 9000 } };
+    expect(Object.keys(pruneFanouts(fanouts, 5000, 10000))).toEqual(['recent']);
+  });
+
+  test('summarize failures, batched, skipped and reviewed members', () => {
+    const results = [
+      { webhookName: 'Slack', outcome: 'delivered' },
+      { webhookName: 'n8n', outcome: 'failed' },
+      { webhookName: 'Zapier', outcome: 'batched' },
+      { webhookName: 'Teams', outcome: 'duplicate' },
+      { webhookName: 'Notion', outcome: 'review' }
+    ];
+    expect(summarizeFanout({ ...fanout, total: 5, results })).toEqual({
+      title: '⚠️ Team - 1/5 delivered',
+      message: 'Failed: n8n (saved to Failed deliveries)\nBatched: Zapier\nDuplicate skipped: Teams\nWaiting for review: Notion',
+      success: false
+    });
+  });
+
+  test('list the recipients when everything was delivered', () => {
+    const results = [{ webhookName: 'Slack', outcome: 'delivered' }, { webhookName: 'n8n', outcome: 'delivered' }];
+    expect(summarizeFanout({ ...fanout, total: 2, results })).toEqual({
+      title: '✅ Team - 2/2 delivered',
+      message: 'Sent to Slack, n8n',
+      success: true
+    });
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, expect, test } from 'bun:test';
+import { loadLib } from './loadLib.js';
+
+const { detectDestinationType, formatDiscordMessage, formatSlackMessage, summarizePayload } = loadLib('destinations.js');
+
+const manyFields = Object.fromEntries(Array.from({ length: 80 }, (_, index) => [`field${index}`, 'v'.repeat(300)]));
+
+describe('detectDestinationType', () => {
+  test('recognises incoming-webhook hosts', () => {
+    expect(detectDestinationType('https://hooks.slack.com/services/T/B/X')).toBe('slack');
+    expect(detectDestinationType('https://discord.com/api/webhooks/1/abc')).toBe('discord');
+    expect(detectDestinationType('https://discord.com/channels/1')).toBe('generic');
+    expect(detectDestinationType('https://acme.webhook.office.com/webhookb2/x')).toBe('teams');
+    expect(detectDestinationType('https://hooks.zapier.com/hooks/catch/1/')).toBe('zapier');
+    expect(detectDestinationType('https://acme.app.n8n.cloud/webhook/x')).toBe('n8n');
+    expect(detectDestinationType('not a url')).toBe('generic');
+  });
+});
+
+describe('summarizePayload', () => {
+  test('lists links and profile fields', () => {
+    const summary = summarizePayload({
+      type: 'links',
+      url: 'https://example.com',
+      title: 'Reading list',
+      links: [{ url: 'https://a.test', text: 'A' }],
+      note: 'Worth a look',
+      tags: ['read', 'later'],
+      fields: { price: '$1', images: ['a.png', 'b.png'], missing: null }
+    });
+    expect(summary.title).toBe('1 link(s) from Reading list');
+    expect(summary.text).toBe('• A https://a.test');
+    expect(summary.fields).toEqual([
+      { name: 'Note', value: 'Worth a look' },
+      { name: 'Tags', value: 'read, later' },
+      { name: 'price', value: '$1' },
+      { name: 'images', value: 'a.png, b.png' }
+    ]);
+  });
+});
+
+describe('formatSlackMessage', () => {
+  test('escapes text and the link URL', () => {
+    const message = formatSlackMessage(summarizePayload({ type: 'page', url: 'https://example.com/?a=1&b=x|y>z', title: '<b> & co' }));
+    expect(message.blocks[0].text.text).toBe('*<https://example.com/?a=1&amp;b=x%7Cy&gt;z|&lt;b&gt; &amp; co>*');
+  });
+
+  test('stays within the block and text limits', () => {
+    const message = formatSlackMessage(summarizePayload({
+      type: 'page',
+      url: `https://example.com/${'p'.repeat(1500)}`,
+      title: 'Big',
+      description: '&'.repeat(5000),
+      fields: manyFields
+    }));
+    expect(message.blocks).toHaveLength(50);
+    message.blocks.filter(block => block.type === 'section').forEach(block => {
+      expect(block.text.text.length).toBeLessThanOrEqual(3000);
+    });
+    expect(message.blocks.at(-2).text.text).toBe('*More:* 33 more field(s) not shown');
+    expect(message.blocks.at(-1).type).toBe('context');
+  });
+});
+
+describe('formatDiscordMessage', () => {
+  test('stays within the field count and embed size limits', () => {
+    const [embed] = formatDiscordMessage(summarizePayload({
+      type: 'page',
+      url: 'https://example.com',
+      title: 't'.repeat(500),
+      description: 'd'.repeat(5000),
+      fields: manyFields
+    })).embeds;
+    expect(embed.title).toHaveLength(256);
+    expect(embed.description).toHaveLength(4096);
+    expect(embed.fields.length).toBeLessThanOrEqual(25);
+    const size = embed.title.length + embed.description.length + embed.footer.text.length +
+      embed.fields.reduce((total, field) => total + field.name.length + field.value.length, 0);
+    expect(size).toBeLessThanOrEqual(6000);
+  });
+
+  test('keeps every field when they fit', () => {
+    const [embed] = formatDiscordMessage(summarizePayload({ type: 'page', url: 'https://example.com', keywords: 'a, b' })).embeds;
+    expect(embed.fields).toEqual([{ name: 'Keywords', value: 'a, b' }]);
+  });
+});
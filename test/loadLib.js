@@ -0,0 +1,23 @@
+// The lib/ files are classic scripts that declare globals (importScripts in the service
+// worker, <script> tags in the popup). Tests evaluate them the same way, once per run.
+import { readFileSync } from 'node:fs';
+import { runInThisContext } from 'node:vm';
+
+const loaded = new Set();
+
+export function loadLib(...names) {
+  names.forEach(name => {
+    if (loaded.has(name)) {
+      return;
+    }
+    // Run as a global script (like importScripts) so top-level consts are shared between files
+    runInThisContext(readFileSync(new URL(`../lib/${name}`, import.meta.url), 'utf8'), { filename: `lib/${name}` });
+    loaded.add(name);
+  });
+  return globalThis;
+}
+
+// Constants are global lexical bindings rather than properties of globalThis
+export function libConstant(name) {
+  return runInThisContext(name);
+}
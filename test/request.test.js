@@ -0,0 +1,231 @@
+import { describe, expect, test } from 'bun:test';
+import { createHmac } from 'node:crypto';
+import { loadLib } from './loadLib.js';
+
+const {
+  bytesToBase64,
+  buildWebhookRequest,
+  computeIdempotencyKey,
+  encodeBody,
+  getIdempotencyKey,
+  readLimitedBody,
+  signRequestBody
+} = loadLib('webhookConfig.js', 'template.js', 'destinations.js', 'request.js');
+
+const decoder = new TextDecoder();
+
+describe('signRequestBody', () => {
+  const signing = { secret: 's3cret', algorithm: 'SHA-256' };
+
+  test('signs "<timestamp>.<body>" with HMAC-SHA256', async () => {
+    const expected = createHmac('sha256', 's3cret').update('1700000000.{"a":1}').digest('hex');
+    expect(await signRequestBody(signing, '1700000000', '{"a":1}')).toBe(`sha256=${expected}`);
+  });
+
+  test('signs binary bodies over the same bytes', async () => {
+    const body = new Uint8Array([0, 255, 10, 13]);
+    const expected = createHmac('sha256', 's3cret').update(Buffer.concat([Buffer.from('1.'), Buffer.from(body)])).digest('hex');
+    expect(await signRequestBody(signing, '1', body)).toBe(`sha256=${expected}`);
+  });
+
+  test('names the digest after the algorithm', async () => {
+    const expected = createHmac('sha512', 'k').update('1.x').digest('hex');
+    expect(await signRequestBody({ secret: 'k', algorithm: 'SHA-512' }, '1', 'x')).toBe(`sha512=${expected}`);
+  });
+});
+
+describe('encodeBody', () => {
+  const document = { title: 'A & B', metadata: { og: { title: 'OG' } }, tags: ['x', 'y'], empty: null };
+
+  test('json', () => {
+    expect(encodeBody('json', document)).toEqual({ body: JSON.stringify(document), contentType: 'application/json' });
+  });
+
+  test('form flattens nested fields into bracket keys', () => {
+    const { body, contentType } = encodeBody('form', document);
+    expect(contentType).toBe('application/x-www-form-urlencoded');
+    expect([...new URLSearchParams(body)]).toEqual([
+      ['title', 'A & B'],
+      ['metadata[og][title]', 'OG'],
+      ['tags[0]', 'x'],
+      ['tags[1]', 'y'],
+      ['empty', '']
+    ]);
+  });
+
+  test('multipart writes one part per field', () => {
+    const { body, contentType } = encodeBody('multipart', { title: 'T', meta: { lang: 'en' } });
+    const boundary = contentType.match(/boundary=(.+)$/)[1];
+    expect(body).toBe(
+      `--${boundary}\r\nContent-Disposition: form-data; name="title"\r\n\r\nT\r\n` +
+      `--${boundary}\r\nContent-Disposition: form-data; name="meta[lang]"\r\n\r\nen\r\n` +
+      `--${boundary}--\r\n`
+    );
+  });
+
+  test('multipart with files builds a binary body', () => {
+    const bytes = new Uint8Array([137, 80, 78, 71, 0, 255]);
+    const { body, contentType } = encodeBody('multipart', { title: 'T' }, [{ name: 'image', fileName: 'a.png', mimeType: 'image/png', bytes }]);
+    const boundary = contentType.match(/boundary=(.+)$/)[1];
+    expect(body).toBeInstanceOf(Uint8Array);
+    const header = `--${boundary}\r\nContent-Disposition: form-data; name="image"; filename="a.png"\r\nContent-Type: image/png\r\n\r\n`;
+    const text = decoder.decode(body);
+    expect(text).toContain(header);
+    const start = Buffer.from(body).indexOf(Buffer.from(header)) + Buffer.byteLength(header);
+    expect([...body.slice(start, start + bytes.length)]).toEqual([...bytes]);
+    expect(text.endsWith(`--${boundary}--\r\n`)).toBe(true);
+  });
+
+  test('text lists dotted paths', () => {
+    expect(encodeBody('text', { a: 1, b: { c: 'd' } })).toEqual({ body: 'a: 1\nb.c: d', contentType: 'text/plain; charset=utf-8' });
+  });
+
+  test('ndjson writes one record per line', () => {
+    expect(encodeBody('ndjson', [{ a: 1 }, { b: 2 }]).body).toBe('{"a":1}\n{"b":2}\n');
+    expect(encodeBody('ndjson', { a: 1 }).body).toBe('{"a":1}\n');
+  });
+
+  test('template output that is not JSON is sent verbatim', () => {
+    expect(encodeBody('json', 'plain text')).toEqual({ body: 'plain text', contentType: 'text/plain; charset=utf-8' });
+    expect(encodeBody('form', 'a=1&b=2').body).toBe('a=1&b=2');
+  });
+});
+
+describe('readLimitedBody', () => {
+  const streamOf = (...chunks) => new Response(new ReadableStream({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(new Uint8Array(chunk)));
+      controller.close();
+    }
+  }));
+
+  test('joins the chunks of a body within the limit', async () => {
+    expect([...await readLimitedBody(streamOf([1, 2], [3]), 3)]).toEqual([1, 2, 3]);
+    expect(await readLimitedBody(new Response(null), 3)).toEqual(new Uint8Array(0));
+  });
+
+  test('stops reading once the body is over the limit', async () => {
+    let pulled = 0;
+    const endless = new Response(new ReadableStream({
+      pull(controller) {
+        pulled++;
+        controller.enqueue(new Uint8Array(1024));
+      }
+    }));
+    expect(await readLimitedBody(endless, 4096)).toBeNull();
+    expect(pulled).toBeLessThan(10);
+    expect(await readLimitedBody(streamOf([1, 2], [3, 4]), 3)).toBeNull();
+  });
+});
+
+describe('idempotency keys', () => {
+  const page = { type: 'page', url: 'https://example.com/a', timestamp: '2024-01-01T00:00:00Z' };
+
+  test('depend on what was captured, not when', async () => {
+    const key = await computeIdempotencyKey(page);
+    expect(key).toMatch(/^[0-9a-f]{32}$/);
+    expect(await computeIdempotencyKey({ ...page, timestamp: '2025-06-01T00:00:00Z', idempotencyKey: key })).toBe(key);
+    expect(await computeIdempotencyKey({ ...page, url: 'https://example.com/b' })).not.toBe(key);
+    expect(await computeIdempotencyKey({ ...page, type: 'selection', selectedText: 'one' }))
+      .not.toBe(await computeIdempotencyKey({ ...page, type: 'selection', selectedText: 'two' }));
+  });
+
+  test('change with anything added to or edited in the payload', async () => {
+    const key = await computeIdempotencyKey(page);
+    const variants = [
+      { ...page, title: 'Edited in review' },
+      { ...page, note: 'Worth a read' },
+      { ...page, tags: ['later'] },
+      { ...page, fields: { price: '10' } },
+      { ...page, screenshot: { mimeType: 'image/png', data: 'iVBORw0' } }
+    ];
+    const keys = await Promise.all(variants.map(computeIdempotencyKey));
+    expect(new Set([key, ...keys]).size).toBe(variants.length + 1);
+    expect(await computeIdempotencyKey({ ...page, fields: { price: '12' } })).not.toBe(keys[3]);
+  });
+
+  test('cover link lists in order and mutual connections in any order', async () => {
+    const links = [{ url: 'https://a.test' }, { url: 'https://b.test' }];
+    expect(await computeIdempotencyKey({ ...page, type: 'links', links }))
+      .not.toBe(await computeIdempotencyKey({ ...page, type: 'links', links: [links[0]] }));
+
+    const linkedin = { type: 'linkedin_mutual_connections', profileViewed: { profileUrl: 'https://linkedin.com/in/x' } };
+    const a = { profileUrl: 'https://linkedin.com/in/a' };
+    const b = { profileUrl: 'https://linkedin.com/in/b' };
+    expect(await computeIdempotencyKey({ ...linkedin, mutualConnections: [a, b], extractionDuration: 1200, metadata: { sessionId: '1' } }))
+      .toBe(await computeIdempotencyKey({ ...linkedin, mutualConnections: [b, a], extractionDuration: 900, metadata: { sessionId: '2' } }));
+  });
+
+  test('batches are keyed by their items', async () => {
+    expect(await getIdempotencyKey({ idempotencyKey: 'abc' })).toBe('abc');
+    const batch = [{ id: '1', payload: { idempotencyKey: 'k1' } }, { id: '2', payload: {} }];
+    const key = await getIdempotencyKey(batch);
+    expect(key).toMatch(/^[0-9a-f]{32}$/);
+    expect(await getIdempotencyKey(batch.map(item => ({ ...item, queuedAt: 'later' })))).toBe(key);
+  });
+});
+
+describe('buildWebhookRequest', () => {
+  const payload = { type: 'page', url: 'https://example.com', title: 'Example', idempotencyKey: 'key-1' };
+
+  test('sends JSON with an Idempotency-Key by default', async () => {
+    const request = await buildWebhookRequest({ url: 'https://hooks.test/a' }, payload);
+    expect(request.method).toBe('POST');
+    expect(request.headers).toEqual({ 'Content-Type': 'application/json', 'Idempotency-Key': 'key-1' });
+    expect(JSON.parse(request.body)).toEqual(payload);
+  });
+
+  test('falls back to JSON for an unknown encoding', async () => {
+    const request = await buildWebhookRequest({ url: 'https://hooks.test/a', encoding: 'toString' }, payload);
+    expect(request.headers['Content-Type']).toBe('application/json');
+  });
+
+  test('custom headers replace defaults case-insensitively', async () => {
+    const webhook = { url: 'https://hooks.test/a', method: 'PUT', headers: [{ name: 'content-type', value: 'application/vnd.test+json' }] };
+    const request = await buildWebhookRequest(webhook, payload);
+    expect(request.method).toBe('PUT');
+    expect(request.headers).toEqual({ 'content-type': 'application/vnd.test+json', 'Idempotency-Key': 'key-1' });
+  });
+
+  test('refuses header values fetch would reject', async () => {
+    for (const value of ['line\nbreak', 'carriage\rreturn', 'tök€n', '🔑']) {
+      const webhook = { url: 'https://hooks.test/a', headers: [{ name: 'Authorization', value }] };
+      await expect(buildWebhookRequest(webhook, payload)).rejects.toThrow('Header "Authorization" can\'t be sent');
+    }
+    const latin1 = { url: 'https://hooks.test/a', headers: [{ name: 'X-Name', value: 'Zoë Müller' }] };
+    expect((await buildWebhookRequest(latin1, payload)).headers['X-Name']).toBe('Zoë Müller');
+  });
+
+  test('signs the body it sends', async () => {
+    const webhook = { url: 'https://hooks.test/a', signing: { secret: 'k' } };
+    const request = await buildWebhookRequest(webhook, payload);
+    const timestamp = request.headers['X-Webhook-Timestamp'];
+    const expected = createHmac('sha256', 'k').update(`${timestamp}.${request.body}`).digest('hex');
+    expect(request.headers['X-Webhook-Signature']).toBe(`sha256=${expected}`);
+  });
+
+  test('renders the body template', async () => {
+    const webhook = { url: 'https://hooks.test/a', template: '{"text": "{{title | upper}}"}' };
+    expect(JSON.parse((await buildWebhookRequest(webhook, payload)).body)).toEqual({ text: 'EXAMPLE' });
+  });
+
+  test('sends images as multipart file parts when asked to', async () => {
+    const bytes = new Uint8Array([1, 2, 3]);
+    const image = { mimeType: 'image/png', fileName: 'a.png', byteSize: 3, data: bytesToBase64(bytes) };
+    const webhook = { url: 'https://hooks.test/a', image: { enabled: true, attachAs: 'file' } };
+    const request = await buildWebhookRequest(webhook, { ...payload, type: 'image', image });
+    expect(request.headers['Content-Type']).toStartWith('multipart/form-data; boundary=');
+    const text = decoder.decode(request.body);
+    expect(text).toContain('name="image"; filename="a.png"');
+    expect(text).toContain('name="image[byteSize]"\r\n\r\n3\r\n');
+    expect(text).not.toContain(image.data);
+  });
+
+  test('keeps chat destinations on their JSON message format when files are requested', async () => {
+    const image = { mimeType: 'image/png', fileName: 'a.png', byteSize: 3, data: bytesToBase64(new Uint8Array([1, 2, 3])) };
+    const webhook = { url: 'https://hooks.slack.com/services/T/B/X', image: { enabled: true, attachAs: 'file' } };
+    const request = await buildWebhookRequest(webhook, { ...payload, type: 'image', image });
+    expect(request.headers['Content-Type']).toBe('application/json');
+    expect(JSON.parse(request.body).blocks).toBeArray();
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, expect, test } from 'bun:test';
+import { loadLib } from './loadLib.js';
+
+const { renderTemplate } = loadLib('template.js');
+
+describe('renderTemplate', () => {
+  test('resolves dotted paths and leaves missing values empty', () => {
+    const data = { title: 'Hello', metadata: { og: { title: 'OG' } }, items: [{ url: 'https://a.example' }] };
+    expect(renderTemplate('{{title}} / {{metadata.og.title}} / {{items.0.url}} / {{nope.deeper}}', data))
+      .toBe('Hello / OG / https://a.example / ');
+  });
+
+  test('renders objects as JSON', () => {
+    expect(renderTemplate('{{tags}}', { tags: ['a', 'b'] })).toBe('["a","b"]');
+  });
+
+  test('default replaces missing, null and empty values only', () => {
+    const template = '{{a | default:"none"}},{{b | default:"none"}},{{c | default:"none"}},{{d | default:"none"}}';
+    expect(renderTemplate(template, { b: null, c: '', d: 0 })).toBe('none,none,none,0');
+  });
+
+  test('truncate keeps the length including the ellipsis', () => {
+    expect(renderTemplate('{{text | truncate:5}}', { text: 'abcdefgh' })).toBe('abcd…');
+    expect(renderTemplate('{{text | truncate:5}}', { text: 'abc' })).toBe('abc');
+  });
+
+  test('json escapes strings for use inside a JSON string literal', () => {
+    const rendered = renderTemplate('{"text": "{{text | json}}"}', { text: 'say "hi"\nnow' });
+    expect(JSON.parse(rendered)).toEqual({ text: 'say "hi"\nnow' });
+    expect(renderTemplate('{{value | json}}', { value: { a: 1 } })).toBe('{"a":1}');
+    expect(renderTemplate('{{missing | json}}', {})).toBe('null');
+  });
+
+  test('upper, lower and urlencode', () => {
+    expect(renderTemplate('{{a | upper}} {{a | lower}}', { a: 'MiXed' })).toBe('MIXED mixed');
+    expect(renderTemplate('q={{q | urlencode}}', { q: 'a b&c' })).toBe('q=a%20b%26c');
+  });
+
+  test('chains filters left to right and keeps "|" inside quoted arguments', () => {
+    expect(renderTemplate('{{title | default:"a|b" | upper}}', {})).toBe('A|B');
+  });
+
+  test('throws on an unknown filter', () => {
+    expect(() => renderTemplate('{{title | shout}}', { title: 'x' })).toThrow('Unknown template filter "shout"');
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, expect, test } from 'bun:test';
+import { loadLib } from './loadLib.js';
+
+const { matchesUrlPattern, validateUrlPattern, ruleMatches, resolveRoutes, resolveExtractionProfiles } = loadLib('urlMatch.js');
+
+describe('glob patterns', () => {
+  test('match any scheme when the pattern has none', () => {
+    expect(matchesUrlPattern('glob', 'github.com/*/issues/*', 'https://github.com/owner/issues/12')).toBe(true);
+    expect(matchesUrlPattern('glob', 'github.com/*/issues/*', 'http://github.com/owner/issues/12')).toBe(true);
+    expect(matchesUrlPattern('glob', 'github.com/*/issues/*', 'https://github.com/owner/pulls/12')).toBe(false);
+  });
+
+  test('respect an explicit scheme', () => {
+    expect(matchesUrlPattern('glob', 'https://example.com/*', 'http://example.com/page')).toBe(false);
+  });
+
+  test('treat "?" as one character and regex syntax literally', () => {
+    expect(matchesUrlPattern('glob', 'example.com/v?', 'https://example.com/v2')).toBe(true);
+    expect(matchesUrlPattern('glob', 'example.com/v?', 'https://example.com/v22')).toBe(false);
+    expect(matchesUrlPattern('glob', 'example.com/a+b', 'https://example.com/a+b')).toBe(true);
+    expect(matchesUrlPattern('glob', 'example.com/a+b', 'https://example.com/aab')).toBe(false);
+  });
+
+  test('are anchored and case-insensitive', () => {
+    expect(matchesUrlPattern('glob', 'example.com/*', 'https://EXAMPLE.com/x')).toBe(true);
+    expect(matchesUrlPattern('glob', 'example.com', 'https://example.com/x')).toBe(false);
+  });
+});
+
+describe('regex patterns', () => {
+  test('accept /pattern/flags and bare patterns', () => {
+    expect(matchesUrlPattern('regex', '/youtu\\.?be/i', 'https://YOUTU.BE/abc')).toBe(true);
+    expect(matchesUrlPattern('regex', 'youtu\\.?be', 'https://YOUTU.BE/abc')).toBe(false);
+    expect(matchesUrlPattern('regex', 'youtu\\.?be', 'https://youtube.com/watch')).toBe(true);
+  });
+
+  test('report invalid syntax and never match', () => {
+    expect(validateUrlPattern('regex', '(unclosed')).toEqual(expect.any(String));
+    expect(validateUrlPattern('regex', '/ok/')).toBeNull();
+    expect(validateUrlPattern('glob', '(anything')).toBeNull();
+    expect(matchesUrlPattern('regex', '(unclosed', 'https://example.com')).toBe(false);
+  });
+});
+
+describe('match types', () => {
+  test('unknown ones are rejected', () => {
+    expect(validateUrlPattern('wildcard', '*')).toBe('Unknown match type "wildcard"');
+    expect(validateUrlPattern('toString', '*')).toEqual(expect.any(String));
+  });
+});
+
+describe('domain patterns', () => {
+  test('match the domain and its subdomains', () => {
+    expect(matchesUrlPattern('domain', 'nytimes.com', 'https://nytimes.com/a')).toBe(true);
+    expect(matchesUrlPattern('domain', 'nytimes.com', 'https://www.nytimes.com/a')).toBe(true);
+    expect(matchesUrlPattern('domain', 'nytimes.com', 'https://notnytimes.com/a')).toBe(false);
+  });
+
+  test('"*." matches subdomains only', () => {
+    expect(matchesUrlPattern('domain', '*.example.com', 'https://example.com/')).toBe(false);
+    expect(matchesUrlPattern('domain', '*.example.com', 'https://api.example.com/')).toBe(true);
+  });
+
+  test('never match unparseable URLs', () => {
+    expect(matchesUrlPattern('domain', 'example.com', 'not a url')).toBe(false);
+  });
+});
+
+describe('routing rules', () => {
+  const rules = [
+    { name: 'disabled', pattern: 'example.com', matchType: 'domain', enabled: false, webhookUrls: ['https://hooks/disabled'] },
+    { name: 'links', contexts: ['link'], webhookUrls: ['https://hooks/a'] },
+    { name: 'example', pattern: 'example.com', matchType: 'domain', webhookUrls: ['https://hooks/a', 'https://hooks/b'], stop: true },
+    { name: 'after stop', pattern: '*', webhookUrls: ['https://hooks/c'] }
+  ];
+
+  test('check enabled, contexts and pattern', () => {
+    expect(ruleMatches(rules[0], 'https://example.com', 'page')).toBe(false);
+    expect(ruleMatches(rules[1], 'https://anything.test', 'link')).toBe(true);
+    expect(ruleMatches(rules[1], 'https://anything.test', 'page')).toBe(false);
+  });
+
+  test('collect deduplicated webhooks in order and honour stop', () => {
+    const { matchedRules, webhookUrls } = resolveRoutes(rules, 'https://example.com/x', 'link');
+    expect(matchedRules.map(rule => rule.name)).toEqual(['links', 'example']);
+    expect(webhookUrls).toEqual(['https://hooks/a', 'https://hooks/b']);
+  });
+
+  test('fall through to later rules when nothing stops', () => {
+    const { webhookUrls } = resolveRoutes(rules, 'https://other.test/', 'page');
+    expect(webhookUrls).toEqual(['https://hooks/c']);
+  });
+});
+
+describe('extraction profiles', () => {
+  test('merge fields of matching profiles, later profiles winning', () => {
+    const profiles = [
+      { name: 'all', pattern: '*', fields: [{ name: 'price', selector: '.price' }, { name: 'sku', selector: '.sku' }] },
+      { name: 'shop', pattern: 'shop.example.com', matchType: 'domain', fields: [{ name: 'price', selector: '.sale-price' }] },
+      { name: 'empty', pattern: '*', fields: [] },
+      { name: 'off', pattern: '*', enabled: false, fields: [{ name: 'off', selector: 'x' }] }
+    ];
+    const { matchedProfiles, fields } = resolveExtractionProfiles(profiles, 'https://shop.example.com/p/1');
+    expect(matchedProfiles.map(profile => profile.name)).toEqual(['all', 'shop']);
+    expect(fields).toEqual([{ name: 'price', selector: '.sale-price' }, { name: 'sku', selector: '.sku' }]);
+  });
+});
@@ -0,0 +1,185 @@
+import { describe, expect, test } from 'bun:test';
+import { loadLib } from './loadLib.js';
+
+const {
+  getRetryDelay,
+  getImageOptions,
+  getRetryPolicy,
+  getScreenshotOptions,
+  getTokenBucket,
+  isOfflineFailure,
+  isRetryable,
+  msUntilTokens,
+  parseRetryAfter,
+  parseStatusCodeList,
+  refillTokens,
+  setTokenBucket
+} = loadLib('webhookConfig.js');
+
+describe('retry policy', () => {
+  test('fills in defaults', () => {
+    expect(getRetryPolicy({ retryPolicy: { maxAttempts: 2 } })).toMatchObject({ maxAttempts: 2, baseDelay: 1, jitter: true });
+    expect(getRetryPolicy(null).retryOn).toEqual(['408', '429', '5xx']);
+  });
+
+  test('parses status code lists', () => {
+    expect(parseStatusCodeList(' 408, 429,5XX ')).toEqual(['408', '429', '5xx']);
+    expect(parseStatusCodeList('408, 6xx')).toBeNull();
+    expect(parseStatusCodeList('40')).toBeNull();
+  });
+});
+
+describe('isRetryable', () => {
+  const policy = getRetryPolicy({});
+
+  test('retries network errors and listed statuses', () => {
+    expect(isRetryable({ ok: false, status: 0, error: 'Failed to fetch' }, policy)).toBe(true);
+    expect(isRetryable({ ok: false, status: 429 }, policy)).toBe(true);
+    expect(isRetryable({ ok: false, status: 503 }, policy)).toBe(true);
+    expect(isRetryable({ ok: false, status: 400 }, policy)).toBe(false);
+  });
+
+  test('never retries permanent failures', () => {
+    expect(isRetryable({ ok: false, status: 0, permanent: true, error: 'Template error' }, policy)).toBe(false);
+  });
+});
+
+describe('isOfflineFailure', () => {
+  const networkError = { ok: false, status: 0, error: 'Failed to fetch' };
+
+  test('only network errors while offline pause the queue', () => {
+    expect(isOfflineFailure(networkError, true)).toBe(true);
+    expect(isOfflineFailure(networkError, false)).toBe(false);
+    expect(isOfflineFailure({ ok: false, status: 503 }, true)).toBe(false);
+    expect(isOfflineFailure({ ...networkError, permanent: true }, true)).toBe(false);
+    expect(isOfflineFailure({ ok: true, status: 200 }, true)).toBe(false);
+  });
+});
+
+describe('getRetryDelay', () => {
+  const policy = { ...getRetryPolicy({}), baseDelay: 2, maxDelay: 30, jitter: false };
+
+  test('doubles on each attempt up to maxDelay', () => {
+    expect([1, 2, 3, 4, 5].map(attempt => getRetryDelay(policy, attempt))).toEqual([2000, 4000, 8000, 16000, 30000]);
+  });
+
+  test('waits at least as long as Retry-After', () => {
+    expect(getRetryDelay(policy, 1, 45000)).toBe(45000);
+    expect(getRetryDelay(policy, 3, 1000)).toBe(8000);
+  });
+
+  test('jitter stays between half and the full backoff', () => {
+    const delays = Array.from({ length: 50 }, () => getRetryDelay({ ...policy, jitter: true }, 3));
+    delays.forEach(delay => {
+      expect(delay).toBeGreaterThanOrEqual(4000);
+      expect(delay).toBeLessThanOrEqual(8000);
+    });
+  });
+});
+
+describe('parseRetryAfter', () => {
+  const now = Date.parse('2024-01-01T00:00:00Z');
+
+  test('accepts seconds', () => {
+    expect(parseRetryAfter('120', now)).toBe(120000);
+    expect(parseRetryAfter('-5', now)).toBe(0);
+  });
+
+  test('accepts HTTP dates', () => {
+    expect(parseRetryAfter('Mon, 01 Jan 2024 00:00:30 GMT', now)).toBe(30000);
+    expect(parseRetryAfter('Sun, 31 Dec 2023 23:59:00 GMT', now)).toBe(0);
+  });
+
+  test('ignores missing and malformed values', () => {
+    expect(parseRetryAfter(null, now)).toBe(0);
+    expect(parseRetryAfter('soon', now)).toBe(0);
+  });
+});
+
+describe('token buckets', () => {
+  const bucket = { capacity: 2, refillTokens: 1, refillSeconds: 10 };
+  const queueData = (fields = {}) => ({ queue: [], tokenBucket: bucket, tokens: 0, lastRefill: 0, ...fields });
+
+  test('migrate the legacy seconds-between-requests limit', () => {
+    expect(getTokenBucket({ rateLimit: 5 })).toEqual({ capacity: 1, refillTokens: 1, refillSeconds: 5 });
+    expect(getTokenBucket({ rateLimit: 0 })).toBeNull();
+    expect(getTokenBucket({ rateLimit: 5, tokenBucket: bucket })).toBe(bucket);
+  });
+
+  test('refill continuously up to capacity', () => {
+    const data = queueData();
+    refillTokens(data, 5000);
+    expect(data).toMatchObject({ tokens: 0.5, lastRefill: 5000 });
+    refillTokens(data, 60000);
+    expect(data.tokens).toBe(2);
+  });
+
+  test('never refill backwards when the clock goes back', () => {
+    const data = queueData({ tokens: 1, lastRefill: 10000 });
+    refillTokens(data, 5000);
+    expect(data.tokens).toBe(1);
+  });
+
+  test('report how long until enough tokens are available', () => {
+    expect(msUntilTokens(queueData({ tokens: 0.5 }), 1)).toBe(5000);
+    expect(msUntilTokens(queueData({ tokens: 0 }), 3)).toBe(30000);
+    expect(msUntilTokens(queueData({ tokens: 2 }), 1)).toBe(0);
+    expect(msUntilTokens(queueData({ tokenBucket: null }), 10)).toBe(0);
+  });
+
+  test('a new limit starts full and a changed one keeps what is left', () => {
+    const unlimited = queueData({ tokenBucket: null });
+    setTokenBucket(unlimited, bucket, 0);
+    expect(unlimited.tokens).toBe(2);
+
+    const drained = queueData({ tokens: 0.5 });
+    setTokenBucket(drained, { capacity: 5, refillTokens: 1, refillSeconds: 1 }, 0);
+    expect(drained.tokens).toBe(0.5);
+
+    const full = queueData({ tokens: 2 });
+    setTokenBucket(full, { capacity: 1, refillTokens: 1, refillSeconds: 1 }, 0);
+    expect(full.tokens).toBe(1);
+
+    setTokenBucket(full, null, 0);
+    expect(full.tokenBucket).toBeNull();
+  });
+});
+
+describe('image options', () => {
+  test('are off unless enabled', () => {
+    expect(getImageOptions({})).toBeNull();
+    expect(getImageOptions({ image: { enabled: false } })).toBeNull();
+  });
+
+  test('cap the size limit', () => {
+    expect(getImageOptions({ image: { enabled: true } })).toEqual({ enabled: true, attachAs: 'base64', maxBytes: 2 * 1024 * 1024 });
+    expect(getImageOptions({ image: { enabled: true, maxBytes: 500 * 1024 * 1024 } }).maxBytes).toBe(5 * 1024 * 1024);
+  });
+
+  test('fall back to base64 for an unknown attach mode', () => {
+    expect(getImageOptions({ image: { enabled: true, attachAs: 'file' } }).attachAs).toBe('file');
+    expect(getImageOptions({ image: { enabled: true, attachAs: 'url' } }).attachAs).toBe('base64');
+  });
+});
+
+describe('article options', () => {
+  test('are off unless enabled', () => {
+    expect(getArticleOptions({ article: { enabled: false, format: 'text' } })).toBeNull();
+  });
+
+  test('fall back to Markdown for an unknown format', () => {
+    expect(getArticleOptions({ article: { enabled: true, format: 'text' } }).format).toBe('text');
+    expect(getArticleOptions({ article: { enabled: true, format: 'html', maxLength: 900 } })).toEqual({ enabled: true, format: 'markdown', maxLength: 900 });
+  });
+});
+
+describe('screenshot options', () => {
+  test('apply to every webhook', () => {
+    expect(getScreenshotOptions(null)).toEqual({ format: 'png', quality: 90, cropToSelection: true, attachAs: 'base64' });
+    expect(getScreenshotOptions({ screenshot: { format: 'jpeg', quality: 60 } })).toMatchObject({ format: 'jpeg', quality: 60 });
+  });
+
+  test('fall back to the defaults for unknown formats and attach modes', () => {
+    expect(getScreenshotOptions({ screenshot: { format: 'webp', attachAs: 'url' } })).toMatchObject({ format: 'png', attachAs: 'base64' });
+  });
+});